@@ -0,0 +1,224 @@
+import fs from 'fs'
+import http from 'http'
+import path from 'path'
+import { createHash, timingSafeEqual } from 'crypto'
+import { sip } from './sip.js'
+import { registry } from './metrics.js'
+import { cameraConfigs } from './config.js'
+
+const {
+  API_PORT,
+  API_HOST,
+  API_TOKEN
+} = process.env
+
+// How many events /events remembers
+const MAX_EVENTS = 100
+
+// Bodies of POST requests are tiny, anything bigger is a mistake
+const MAX_BODY = 16 * 1024
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+function hash(value) {
+  return createHash('sha256').update(value).digest()
+}
+
+/**
+ * Local HTTP API (API_PORT) to see what the bridge is doing and to control it:
+ *
+ *   GET  /health   200 while registered, 503 otherwise (for Docker's HEALTHCHECK)
+ *   GET  /status   registration, uptime and the state of every camera
+ *   GET  /calls    the current calls across the SIP, Ring and tones legs
+ *   GET  /events   the recent events, ?limit=n
+ *   GET  /metrics  Prometheus metrics
+ *   GET  /route    where a ding of a camera goes now (see schedule.js), ?camera=...&at=<time>
+ *   GET  /snapshots/<file>  a snapshot of a button press (see snapshot.js)
+ *   POST /call     call the SIP destination of a camera, like a button press
+ *   POST /hangup   end the call of a camera
+ *
+ * POST bodies are JSON like { "camera": "Front Door" } (name or Ring id). With only one
+ * camera it can be left out. Everything but /health and the snapshots (their names can't be
+ * guessed, phones have no token) requires "Authorization: Bearer API_TOKEN" if API_TOKEN is set.
+ */
+class Api {
+  constructor() {
+    this.server = null
+    this.bridges = null
+    this.actions = null
+    this.events = []
+    this.startedAt = Date.now()
+  }
+
+  get enabled() {
+    return !!API_PORT
+  }
+
+  //--------------------------------------------------------------------------
+  // Public Methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * Start listening. `actions` are the call and hangup functions of index.js,
+   * so calls from the API take the same path as button presses.
+   */
+  initialize(bridges, actions) {
+    if (!this.enabled || this.server) return
+
+    this.bridges = bridges
+    this.actions = actions
+    this.server = http.createServer((req, res) => this._handleRequest(req, res))
+    this.server.on('error', err => console.error('API - Server error:', err.message))
+    this.server.listen(parseInt(API_PORT), API_HOST || '127.0.0.1', () => {
+      console.log(`API - Listening on ${API_HOST || '127.0.0.1'}:${API_PORT}${API_TOKEN ? ' (token required)' : ''}`)
+    })
+  }
+
+  /**
+   * Remember an event for /events
+   */
+  recordEvent(event, data = {}) {
+    this.events.push({ event, timestamp: new Date().toISOString(), ...data })
+    if (this.events.length > MAX_EVENTS) this.events.shift()
+  }
+
+  cleanup() {
+    this.server?.close()
+    this.server = null
+  }
+
+  //--------------------------------------------------------------------------
+  // Internal Helpers
+  //--------------------------------------------------------------------------
+
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    const route = `${req.method} ${url.pathname.replace(/\/+$/, '') || '/'}`
+
+    try {
+      if (route.startsWith('GET /snapshots/')) return await this._sendSnapshot(res, url.pathname)
+      if (route !== 'GET /health') this._authorize(req)
+
+      switch (route) {
+        case 'GET /health':
+          return this._send(res, sip.registered ? 200 : 503, { status: sip.registered ? 'ok' : 'unregistered' })
+        case 'GET /status':
+          return this._send(res, 200, this._status())
+        case 'GET /calls':
+          return this._send(res, 200, [...this.bridges.values()].filter(bridge => bridge.isActive).map(bridge => bridge.state))
+        case 'GET /events': {
+          const limit = parseInt(url.searchParams.get('limit')) || MAX_EVENTS
+          return this._send(res, 200, this.events.slice(-limit))
+        }
+        case 'GET /route': {
+          const bridge = this._findBridge({}, url)
+          const at = url.searchParams.has('at') ? new Date(url.searchParams.get('at')) : new Date()
+          if (isNaN(at)) throw new HttpError(400, 'Invalid time in "at"')
+          return this._send(res, 200, { camera: bridge.camera.name, at: at.toISOString(), ...bridge.route(at) })
+        }
+        case 'GET /metrics':
+          res.writeHead(200, { 'content-type': registry.contentType })
+          return res.end(await registry.metrics())
+        case 'POST /call': {
+          const bridge = this._findBridge(await this._readBody(req), url)
+          if (bridge.isBusy) throw new HttpError(409, `${bridge.camera.name} is already in a call`)
+          this.actions.call(bridge)
+          return this._send(res, 202, bridge.state)
+        }
+        case 'POST /hangup': {
+          const bridge = this._findBridge(await this._readBody(req), url)
+          if (!bridge.isActive) throw new HttpError(409, `${bridge.camera.name} is not in a call`)
+          this.actions.hangup(bridge)
+          return this._send(res, 202, bridge.state)
+        }
+        default:
+          throw new HttpError(404, 'Not found')
+      }
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error(`API - Error handling ${route}:`, err)
+      if (err.status === 401) res.setHeader('www-authenticate', 'Bearer')
+      this._send(res, err.status || 500, { error: err.status ? err.message : 'Internal error' })
+    }
+  }
+
+  _authorize(req) {
+    if (!API_TOKEN) return
+    const [scheme, token] = String(req.headers.authorization || '').split(' ')
+    if (scheme?.toLowerCase() !== 'bearer' || !token || !timingSafeEqual(hash(token), hash(API_TOKEN))) {
+      throw new HttpError(401, 'Unauthorized')
+    }
+  }
+
+  _status() {
+    return {
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+      registration: { registered: sip.registered, until: sip.registeredUntil, last: sip.lastRegister },
+      cameras: [...this.bridges.values()].map(bridge => bridge.state)
+    }
+  }
+
+  /**
+   * The camera of a request, by name or Ring id in the body or the query string
+   */
+  _findBridge(body, url) {
+    const camera = body?.camera ?? url.searchParams.get('camera')
+    const bridges = [...this.bridges.values()]
+
+    if (camera === undefined || camera === null) {
+      if (bridges.length === 1) return bridges[0]
+      throw new HttpError(400, 'Which camera? Pass "camera" with its name or id.')
+    }
+    const bridge = bridges.find(bridge => bridge.camera.name === String(camera) || String(bridge.camera.id) === String(camera))
+    if (!bridge) throw new HttpError(404, `Unknown camera ${camera}`)
+    return bridge
+  }
+
+  async _sendSnapshot(res, pathname) {
+    const name = decodeURIComponent(pathname.substring('/snapshots/'.length))
+    if (!/^[\w.-]+\.jpg$/.test(name)) throw new HttpError(404, 'Not found')
+
+    const dirs = new Set(cameraConfigs.map(config => config.snapshot?.dir).filter(Boolean))
+    for (const dir of dirs) {
+      const file = path.join(dir, name)
+      if (!fs.existsSync(file)) continue
+      res.writeHead(200, { 'content-type': 'image/jpeg' })
+      return res.end(await fs.promises.readFile(file))
+    }
+    throw new HttpError(404, 'Not found')
+  }
+
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = ''
+      req.on('data', (chunk) => {
+        body += chunk
+        if (body.length > MAX_BODY) {
+          reject(new HttpError(413, 'Body too large'))
+          req.destroy()
+        }
+      })
+      req.on('end', () => {
+        if (!body.trim()) return resolve({})
+        try {
+          resolve(JSON.parse(body))
+        } catch (err) {
+          reject(new HttpError(400, 'Invalid JSON'))
+        }
+      })
+      req.on('error', reject)
+    })
+  }
+
+  _send(res, status, data) {
+    res.writeHead(status, { 'content-type': 'application/json' })
+    res.end(JSON.stringify(data, null, 2) + '\n')
+  }
+}
+
+// Export a singleton instance
+export const api = new Api()
@@ -0,0 +1,603 @@
+import { EventEmitter } from 'events'
+import { sip } from './sip.js'
+import { ring } from './ring.js'
+import Tones from './tones.js'
+import { DtmfCollector } from './dtmf.js'
+import DoorOpener from './door.js'
+import Recorder, { listRecordings } from './recorder.js'
+import { saveSnapshot } from './snapshot.js'
+import { activeRoute } from './schedule.js'
+import Hunt from './hunt.js'
+
+// Give up on an after-hours announcement after this time (ms), Ring connecting included
+const ANNOUNCEMENT_TIMEOUT = 60000
+// Give up on the request of a DTMF `http` action after this time (ms)
+const HTTP_ACTION_TIMEOUT = 10000
+
+// The final response to an inbound INVITE we couldn't answer, by end reason
+function declineStatus(reason) {
+  switch (reason) {
+    case 'ring-drop':
+    case 'error':
+    case 'shutdown':
+      return [503, 'Service Unavailable']
+    default:
+      return [480, 'Temporarily Unavailable']
+  }
+}
+
+/**
+ * Connects one Ring camera to its SIP destination. There is one Bridge per mapped
+ * camera, so calls of different cameras run independently of each other.
+ * After every call the bridge drops its per-call state and goes back to idle.
+ *
+ * Emits 'callStarted', 'callAnswered', 'callFailed' and 'callEnded' with the call info
+ * (see _startCall), 'voicemail' with { dingId, file, duration } and 'idle' once the call
+ * is cleaned up.
+ */
+export default class Bridge extends EventEmitter {
+  constructor(camera, cameraConfig) {
+    super()
+    this.camera = camera
+    this.cameraConfig = cameraConfig
+    this.sipCall = null
+    this.ringCall = null
+    this.tones = null
+    this.dtmf = null
+    this.recorder = null
+    this.callInfo = null
+    this.announcement = null  // { ringCall, tones, finish } while we play the after-hours prompt
+    this.voicemail = null     // { recorder, startedAt, timeout } while the visitor leaves a message
+    this.voicemailIndex = 0   // the message the next 'voicemail' DTMF action plays, newest is 0
+    this.mailbox = null       // { sipCall, tones, index } while someone listens to the voicemail box
+
+    // Outlives the calls, the lockout after wrong PINs must not end with the call
+    this.door = cameraConfig.door ? new DoorOpener(cameraConfig.door, camera.name) : null
+    this.door?.on('opened', () => {
+      // Confirmation for both sides
+      this.tones?.playFile(cameraConfig.door.tone, { sip: true, ring: true })
+    })
+  }
+
+  get isActive() {
+    return !!this.sipCall
+  }
+
+  // In a call or playing the after-hours prompt
+  get isBusy() {
+    return this.isActive || !!this.announcement
+  }
+
+  /**
+   * The current call across all legs, for the status API
+   */
+  get state() {
+    return {
+      camera: { id: this.camera.id, name: this.camera.name },
+      active: this.isActive,
+      announcing: !!this.announcement,
+      call: this.callInfo ? { ...this.callInfo } : null,
+      sip: this.sipCall?.state || null,
+      ring: this.ringCall?.state || null,
+      tones: this.tones?.state || null
+    }
+  }
+
+  /**
+   * Where a ding goes at `date`, see `schedule` in config.json
+   */
+  route(date = new Date()) {
+    return activeRoute(this.cameraConfig, date)
+  }
+
+  /**
+   * Doorbell originated call: call the SIP destination and the camera in parallel.
+   * Without a `dest` of its own the call runs the camera's hunt list, if it has one.
+   */
+  connect(dingId = null, dest = null) {
+    const { hunt } = this.cameraConfig
+    const huntCall = !dest && hunt ? new Hunt(this.cameraConfig) : null
+    const { sipCall, ringCall, tones, callInfo } = this._startCall(huntCall || sip.createCall(this.cameraConfig), 'outbound', dingId)
+    // With a hunt list: whoever answered, see the 'callEstablished' handler
+    dest = huntCall ? hunt.steps[0].dests[0] : dest || this.cameraConfig.dest
+    callInfo.destination = dest
+
+    tones.startCall()
+      .then(() => Promise.all([
+        sipCall.initiateCall(dest),
+        ringCall.initiateCall()
+      ]))
+      .then(() => {
+        this._log('Both calls initiated in parallel.')
+      })
+      .catch((err) => {
+        console.error(`BRIDGE - ${this.camera.name} - Error initiating calls:`, err)
+        this._endCall(sipCall, 'error')
+      })
+  }
+
+  /**
+   * PBX originated call: call the camera and answer the INVITE once Ring is connected.
+   * Until then the caller hears the ringback as early media.
+   */
+  answer(sipCall, request) {
+    const { ringCall, tones } = this._startCall(sipCall, 'inbound')
+
+    const answerTimer = setTimeout(() => {
+      this._log(`Ring didn't connect within ${this.cameraConfig.answerTimeout} seconds.`)
+      this._endCall(sipCall, 'ring-timeout')
+    }, this.cameraConfig.answerTimeout * 1000)
+    sipCall.once('callEstablished', () => clearTimeout(answerTimer))
+    sipCall.once('closed', () => clearTimeout(answerTimer))
+
+    sipCall.on('inboundCall', () => {
+      this._log('Inbound SIP call. Initiating RING call.')
+      tones.sipReady()
+      tones.startCall()
+        .then(() => ringCall.initiateCall())
+        .catch((err) => {
+          console.error(`BRIDGE - ${this.camera.name} - Error initiating RING call:`, err)
+          this._endCall(sipCall, 'error')
+        })
+    })
+
+    sipCall.handleInvite(request).catch((err) => {
+      console.error(`BRIDGE - ${this.camera.name} - Error answering SIP call:`, err)
+      this._endCall(sipCall, 'error')
+    })
+  }
+
+  /**
+   * After hours: skip the SIP call, play `file` (null for a beep) to the visitor through
+   * the Ring speaker and hang up
+   */
+  announce(file, dingId = null) {
+    if (this.isBusy) return
+
+    const ringCall = ring.createCall(this.camera)
+    const tones = new Tones(this.cameraConfig.tones)
+    tones.initialize(null, ringCall)
+
+    const finish = () => {
+      if (this.announcement !== announcement) return
+      this.announcement = null
+      clearTimeout(timeout)
+      ringCall.endCall()
+      tones.endCall()
+      this._log('Announcement done. Idle.')
+      this.emit('idle')
+    }
+    const announcement = this.announcement = { ringCall, tones, finish }
+    const timeout = setTimeout(() => {
+      this._log('Announcement timed out.')
+      finish()
+    }, ANNOUNCEMENT_TIMEOUT)
+
+    this._log(`Playing the after-hours announcement${dingId ? ` for ding ${dingId}` : ''}...`)
+    ringCall.once('receivingAudio', () => {
+      tones.playFile(file, { ring: true }).then(finish)
+    })
+    ringCall.once('callEnded', finish)
+
+    tones.startCall()
+      .then(() => ringCall.initiateCall())
+      .catch((err) => {
+        console.error(`BRIDGE - ${this.camera.name} - Error starting the announcement:`, err)
+        finish()
+      })
+  }
+
+  /**
+   * A call to the voicemail box (`voicemail.inboundUser`): answered right away, without a
+   * Ring call, so it works while the camera is offline. The newest message plays, every
+   * key press the one before. Doesn't keep the camera busy.
+   */
+  openMailbox(sipCall, request) {
+    if (this.mailbox) {
+      sipCall.reject(request, 486, 'Busy Here')
+      return
+    }
+
+    const tones = new Tones(this.cameraConfig.tones)
+    tones.initialize(sipCall, null)
+    const mailbox = this.mailbox = { sipCall, tones, index: 0 }
+    const close = () => {
+      if (this.mailbox !== mailbox) return
+      this.mailbox = null
+      tones.endCall()
+      sipCall.endCall()
+      this._log('Voicemail box closed.')
+    }
+
+    sipCall.on('inboundCall', () => sipCall.acceptInvite())
+    sipCall.once('callEstablished', () => {
+      this._log('Voicemail box answered.')
+      tones.startCall().then(() => this._playVoicemail(tones, mailbox.index++))
+    })
+    sipCall.on('dtmf', () => {
+      if (this.mailbox === mailbox) this._playVoicemail(tones, mailbox.index++)
+    })
+    sipCall.on('callEnded', close)
+    sipCall.once('closed', close)
+
+    sipCall.handleInvite(request).catch((err) => {
+      console.error(`BRIDGE - ${this.camera.name} - Error answering the voicemail call:`, err)
+      close()
+    })
+  }
+
+  /**
+   * Play the hangup tone, then end the call. The reason goes into the call info, e.g. 'button'.
+   */
+  hangup(reason = 'hangup') {
+    if (!this.isActive) return
+
+    this._log('Call active. Playing hangup tone...')
+    const { sipCall } = this
+    const tonePromise = this.tones.playHangup()
+    const timeoutPromise = new Promise(resolve => setTimeout(resolve, 2000))
+
+    return Promise.race([tonePromise, timeoutPromise]).then(() => {
+      this._log('Hangup tone done (or timeout). Cleaning up...')
+      this._endCall(sipCall, reason)
+    })
+  }
+
+  /**
+   * Take a snapshot for a button press (see `snapshot` in config.json) and emit 'snapshot'
+   * with { dingId, destination, path, url }. A frame of the live call needs the call started first.
+   */
+  takeSnapshot(dingId = null) {
+    const snapshotConfig = this.cameraConfig.snapshot
+    if (!snapshotConfig) return
+
+    const { callInfo, ringCall } = this
+    saveSnapshot(snapshotConfig, this.camera, ringCall)
+      .then((snapshot) => {
+        this._log(`Snapshot saved to ${snapshot.path}`)
+        if (callInfo) callInfo.snapshot = snapshot
+        this.emit('snapshot', { dingId, destination: callInfo?.destination || null, ...snapshot })
+      })
+      .catch(err => console.error(`BRIDGE - ${this.camera.name} - Snapshot failed:`, err.message))
+  }
+
+  /**
+   * Play an audio file to the visitor, null plays a beep
+   */
+  playPrompt(file) {
+    if (!this.isActive) return
+    this.tones.playFile(file, { ring: true })
+  }
+
+  /**
+   * Tear down the current call (or the after-hours announcement) and go back to idle. Safe to call more than once.
+   * `reason` ends up in the call info: 'pbx-bye', 'pbx-cancel', 'dialog-lost', 'session-expired',
+   * 'sip-closed', 'failed', 'ring-drop', 'ring-timeout', 'button', 'dtmf', 'remote', 'error',
+   * 'shutdown' or 'hangup'. An inbound call that isn't answered yet is declined with 480 or 503.
+   */
+  end(reason = 'hangup') {
+    this.announcement?.finish()
+    if (!this.isActive) return
+
+    const { sipCall, ringCall, tones, dtmf, recorder, voicemail, callInfo } = this
+    this.sipCall = null
+    this.ringCall = null
+    this.tones = null
+    this.dtmf = null
+    this.recorder = null
+    this.voicemail = null
+    this.callInfo = null
+
+    dtmf.reset()
+    this.door?.cancelEntry()
+    sipCall.declineInvite(...declineStatus(reason))
+    sipCall.endCall()
+    ringCall.endCall()
+    tones.endCall()
+    recorder?.stop()
+    if (voicemail) this._finishVoicemail(voicemail, callInfo)
+    this._log('Call cleaned up. Idle.')
+
+    callInfo.endedAt = new Date().toISOString()
+    callInfo.endReason = reason
+    callInfo.ringReconnects = ringCall.reconnectAttempts
+    callInfo.outcome = callInfo.voicemail ? 'voicemail' : callInfo.failure ? 'failed' : callInfo.answeredAt ? 'answered' : 'cancelled'
+    if (callInfo.answeredAt) {
+      callInfo.duration = Math.round((Date.parse(callInfo.endedAt) - Date.parse(callInfo.answeredAt)) / 1000)
+    }
+    this.emit('callEnded', { ...callInfo })
+    this.emit('idle')
+  }
+
+  // Late events of a previous call must not end the next one
+  _endCall(sipCall, reason) {
+    if (this.sipCall === sipCall) this.end(reason)
+  }
+
+  _startCall(sipCall, direction, dingId = null) {
+    const ringCall = ring.createCall(this.camera)
+    const tones = new Tones(this.cameraConfig.tones)
+    tones.initialize(sipCall, ringCall)
+
+    const dtmf = new DtmfCollector(this.cameraConfig.dtmf, (sequence, action) => {
+      if (this.sipCall === sipCall) this._runDtmfAction(sequence, action)
+    })
+
+    this.sipCall = sipCall
+    this.ringCall = ringCall
+    this.tones = tones
+    this.dtmf = dtmf
+    this.voicemailIndex = 0
+
+    // What we know about the call, for the call events
+    const callInfo = this.callInfo = {
+      id: sipCall.callId,
+      direction,          // 'outbound' (doorbell) or 'inbound' (PBX)
+      camera: this.camera.name,
+      dingId,
+      destination: direction === 'outbound' ? this.cameraConfig.dest : null,
+      remoteParty: null,  // who answered (outbound) or called (inbound)
+      remoteContact: null,
+      startedAt: new Date().toISOString(),
+      answeredAt: null,
+      endedAt: null,
+      outcome: null,      // 'answered', 'voicemail', 'failed' or 'cancelled'
+      endReason: null,    // e.g. 'pbx-bye', 'button', 'ring-drop', 'failed', see end()
+      failure: null,      // { status, reason } of a failed SIP call
+      duration: null,     // seconds since answered
+      ringReconnects: 0,
+      recording: null,    // the file, if the call was recorded
+      voicemail: null,    // { file, duration } of the visitor's message
+      snapshot: null      // { path, url } of the snapshot of the button press
+    }
+    this.emit('callStarted', { ...callInfo })
+
+    const endThisCall = reason => this._endCall(sipCall, reason)
+
+    // Recording starts once both legs are up
+    let sipEstablished = false
+    let ringEstablished = false
+    const startRecording = () => {
+      if (sipEstablished && ringEstablished && this.sipCall === sipCall && !this.recorder) {
+        this._startRecording(sipCall, ringCall, callInfo)
+      }
+    }
+
+    // Setup event listeners for SIP
+    sipCall.on('ringing', () => {
+      this._log('SIP ringing')
+      // for Ring button initiated all, the ring speaker should not play the ringback tone unless sip is actually ringing
+      tones.sipRinging()
+    })
+
+    sipCall.on('callEstablished', () => {
+      this._log('SIP call established')
+      if (!callInfo.answeredAt) {
+        callInfo.answeredAt = new Date().toISOString()
+        // A hunt list only knows the Call-ID once a fork answered
+        callInfo.id = sipCall.callId
+        if (sipCall.dest) callInfo.destination = sipCall.dest
+        callInfo.remoteParty = sipCall.remoteParty || null
+        callInfo.remoteContact = sipCall.remoteContact || null
+        this.emit('callAnswered', { ...callInfo })
+      }
+      tones.sipReady()
+      ringCall.pipeAudio(sipCall)
+      sipEstablished = true
+      startRecording()
+    })
+
+    sipCall.on('callFailed', (err) => {
+      console.error(`BRIDGE - ${this.camera.name} - SIP call failed:`, err)
+      if (this.callInfo === callInfo && !callInfo.failure) {
+        callInfo.failure = { status: err?.status, reason: err?.reason }
+        this.emit('callFailed', { ...callInfo })
+      }
+      // Nobody answered the doorbell
+      if (direction === 'outbound' && this._handleNoAnswer(sipCall, err)) return
+      endThisCall('failed')
+    })
+
+    sipCall.on('callEnded', (reason = 'pbx-bye') => {
+      this._log('SIP call ended. Cleaning up the call.')
+      endThisCall(reason)
+    })
+
+    // e.g. the INVITE was rejected
+    sipCall.on('closed', () => endThisCall('sip-closed'))
+
+    sipCall.on('dtmf', (digit) => {
+      // PIN entries for the door opener don't go to the DTMF actions
+      if (this.door?.handleDigit(digit, sipCall.remoteParty)) return
+      dtmf.push(digit)
+    })
+
+    // Setup event listeners for Ring
+    ringCall.on('callEstablished', () => {
+      this._log('Ring call established')
+      sipCall.pipeAudio(ringCall)
+      ringEstablished = true
+      startRecording()
+    })
+
+    ringCall.on('receivingAudio', () => {
+      this._log('Receiving audio from Ring')
+      tones.ringReady()
+      // An inbound call is answered now (see answer())
+      sipCall.acceptInvite()
+    })
+
+    ringCall.on('callEnded', () => {
+      this._log('Ring call ended. Cleaning up the call.')
+      endThisCall('ring-drop')
+    })
+
+    return { sipCall, ringCall, tones, callInfo }
+  }
+
+  /**
+   * Nobody answered the doorbell call: the fallback of the hunt list, otherwise a voicemail.
+   * Returns false if the call just ends.
+   */
+  _handleNoAnswer(sipCall, failure) {
+    const fallback = sipCall instanceof Hunt ? this.cameraConfig.hunt.fallback : { action: 'voicemail' }
+    switch (fallback.action) {
+      case 'voicemail':
+        return this._startVoicemail(sipCall, failure)
+      case 'prompt': {
+        if (this.sipCall !== sipCall) return false
+        const { ringCall, tones } = this
+        const play = () => {
+          if (this.sipCall !== sipCall) return
+          this._log('Nobody answered. Playing the fallback prompt...')
+          tones.playFile(fallback.prompt, { ring: true }).then(() => this._endCall(sipCall, 'failed'))
+        }
+        // The Ring call may still be connecting
+        if (ringCall.receivingAudio) play()
+        else ringCall.once('receivingAudio', play)
+        return true
+      }
+      default:
+        return false
+    }
+  }
+
+  /**
+   * The visitor hears the greeting on the Ring speaker, then their audio is recorded for up
+   * to maxDuration seconds (see `voicemail` in config.json). The message is finished when
+   * the call ends. Returns false if the SIP failure doesn't call for a voicemail.
+   */
+  _startVoicemail(sipCall, failure) {
+    const voicemailConfig = this.cameraConfig.voicemail
+    if (!voicemailConfig || !voicemailConfig.statuses.includes(failure?.status)) return false
+    if (this.sipCall !== sipCall) return false
+    if (this.voicemail) return true
+
+    const { ringCall, tones } = this
+    const voicemail = this.voicemail = { recorder: null, startedAt: null, timeout: null }
+    this._log(`Nobody answered (${failure.status} ${failure.reason}). Taking a message...`)
+
+    const record = () => {
+      if (this.voicemail !== voicemail) return
+      // No ringback over the message
+      tones.endCall()
+
+      const recorder = voicemail.recorder = new Recorder(voicemailConfig, { camera: this.camera.name, callId: sipCall.callId })
+      ringCall.on('audio', rtp => recorder.sendRing(rtp))
+      recorder.start().catch((err) => {
+        console.error(`BRIDGE - ${this.camera.name} - Error recording the voicemail:`, err)
+        this._endCall(sipCall, 'error')
+      })
+      voicemail.startedAt = Date.now()
+      voicemail.timeout = setTimeout(() => this._endCall(sipCall, 'voicemail'), voicemailConfig.maxDuration * 1000)
+    }
+    const greet = () => {
+      if (this.voicemail !== voicemail) return
+      tones.playFile(voicemailConfig.greeting, { ring: true }).then(record)
+    }
+
+    // The Ring call may still be connecting
+    if (ringCall.receivingAudio) greet()
+    else ringCall.once('receivingAudio', greet)
+    return true
+  }
+
+  _finishVoicemail(voicemail, callInfo) {
+    clearTimeout(voicemail.timeout)
+    const { recorder } = voicemail
+    if (!recorder) return
+    recorder.stop()
+    if (!recorder.file) return
+
+    const duration = Math.round((Date.now() - voicemail.startedAt) / 1000)
+    this._log(`Voicemail saved to ${recorder.file} (${duration}s)`)
+    callInfo.voicemail = { file: recorder.file, duration }
+    this.emit('voicemail', { dingId: callInfo.dingId, ...callInfo.voicemail })
+  }
+
+  /**
+   * Play voicemail message number `index` of the camera (0 is the newest) to the SIP leg,
+   * a beep if there are none
+   */
+  async _playVoicemail(tones, index) {
+    const voicemailConfig = this.cameraConfig.voicemail
+    if (!voicemailConfig) return this._log('No voicemail configured')
+
+    const files = await listRecordings(voicemailConfig.dir, this.camera.name)
+    if (!files.length) {
+      this._log('No voicemail messages')
+      return tones?.playFile(null, { sip: true })
+    }
+    const file = files[index % files.length]
+    this._log(`Playing voicemail ${file}`)
+    return tones?.playFile(file, { sip: true })
+  }
+
+  /**
+   * Record the call (see `recording` in config.json) and tell both sides with the announcement
+   */
+  _startRecording(sipCall, ringCall, callInfo) {
+    const recordingConfig = this.cameraConfig.recording
+    if (!recordingConfig) return
+
+    const recorder = new Recorder(recordingConfig, {
+      camera: this.camera.name,
+      callId: sipCall.callId,
+      sipCodec: sipCall.remoteAudioCodec
+    })
+    this.recorder = recorder
+    sipCall.on('audio', rtp => recorder.sendSip(rtp))
+    ringCall.on('audio', rtp => recorder.sendRing(rtp))
+
+    recorder.start()
+      .then(() => {
+        if (this.recorder !== recorder) return
+        callInfo.recording = recorder.file
+        if (recordingConfig.announcement !== false) {
+          this.tones.playFile(recordingConfig.announcement, { sip: true, ring: true })
+        }
+      })
+      .catch(err => console.error(`BRIDGE - ${this.camera.name} - Error starting the recording:`, err))
+  }
+
+  /**
+   * Run the action configured for a DTMF sequence (see `dtmf` in config.json)
+   */
+  _runDtmfAction(sequence, { action, ...options }) {
+    this._log(`DTMF ${sequence} => ${action}`)
+
+    const run = () => {
+      switch (action) {
+        case 'hangup':
+          return this.hangup('dtmf')
+        case 'prompt':
+          return this.playPrompt(options.file)
+        case 'voicemail':
+          return this._playVoicemail(this.tones, this.voicemailIndex++)
+        case 'http': {
+          const hasBody = options.body !== undefined
+          return fetch(options.url, {
+            method: options.method || 'POST',
+            headers: { ...(hasBody ? { 'content-type': 'application/json' } : {}), ...options.headers },
+            body: hasBody ? JSON.stringify(options.body) : undefined,
+            signal: AbortSignal.timeout(HTTP_ACTION_TIMEOUT)
+          }).then(response => this._log(`DTMF ${sequence} => ${options.url}: ${response.status}`))
+        }
+        case 'light':
+          return this.camera.setLight(options.on !== false)
+        case 'siren':
+          return this.camera.setSiren(options.on !== false)
+        default:
+          this._log(`Unknown DTMF action ${action}`)
+      }
+    }
+
+    Promise.resolve()
+      .then(run)
+      .catch(err => console.error(`BRIDGE - ${this.camera.name} - DTMF action ${action} failed:`, err))
+  }
+
+  _log(message) {
+    console.log(`BRIDGE - ${this.camera.name} - ${message}`)
+  }
+}
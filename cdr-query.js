@@ -0,0 +1,90 @@
+import 'dotenv/config'
+import { parseArgs } from 'util'
+import { readCdrs, cdrFile } from './cdr.js'
+
+/**
+ * Query the call detail records:
+ *
+ *   node cdr-query.js [--from 2026-10-01] [--to 2026-10-31] [--camera "Front Door"] [--unanswered] [--json]
+ *
+ * --from/--to are dates (whole days, local time) or ISO timestamps. Prints the calls and a
+ * summary per camera. Unanswered are doorbell calls nobody picked up.
+ */
+const { values: options } = parseArgs({
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    camera: { type: 'string' },
+    unanswered: { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+    file: { type: 'string', default: cdrFile },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+})
+
+if (options.help) {
+  console.log('Usage: node cdr-query.js [--from DATE] [--to DATE] [--camera NAME] [--unanswered] [--json] [--file cdr.jsonl]')
+  process.exit(0)
+}
+
+// A date without time means the whole day
+function parseDate(value, endOfDay) {
+  if (!value) return null
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value)
+  if (isNaN(date)) {
+    console.error(`Invalid date ${value}`)
+    process.exit(1)
+  }
+  if (endOfDay && value.length === 10) date.setDate(date.getDate() + 1)
+  return date.getTime()
+}
+
+function isUnanswered(record) {
+  return record.direction === 'outbound' && record.outcome !== 'answered'
+}
+
+const from = parseDate(options.from, false)
+const to = parseDate(options.to, true)
+
+const records = (await readCdrs(options.file)).filter((record) => {
+  const time = Date.parse(record.ringAt)
+  if (from !== null && time < from) return false
+  if (to !== null && time >= to) return false
+  if (options.camera && record.camera !== options.camera) return false
+  if (options.unanswered && !isUnanswered(record)) return false
+  return true
+})
+
+if (options.json) {
+  for (const record of records) console.log(JSON.stringify(record))
+  process.exit(0)
+}
+
+for (const record of records) {
+  const failure = record.failure ? ` ${record.failure.status} ${record.failure.reason}` : ''
+  console.log([
+    new Date(record.ringAt).toLocaleString(),
+    record.camera,
+    record.direction === 'outbound' ? 'doorbell' : 'pbx',
+    record.outcome + failure,
+    record.duration !== null ? `${record.duration}s` : '-',
+    record.endReason,
+    record.remoteParty || record.destination || '-'
+  ].join('  '))
+}
+
+// Summary per camera
+const summary = new Map()
+for (const record of records) {
+  const entry = summary.get(record.camera) || { calls: 0, doorbell: 0, answered: 0, unanswered: 0 }
+  entry.calls++
+  if (record.direction === 'outbound') entry.doorbell++
+  if (record.outcome === 'answered') entry.answered++
+  if (isUnanswered(record)) entry.unanswered++
+  summary.set(record.camera, entry)
+}
+
+console.log(`\n${records.length} call(s)`)
+for (const [camera, entry] of summary) {
+  console.log(`${camera}: ${entry.calls} call(s), ${entry.doorbell} from the doorbell, ${entry.answered} answered, ${entry.unanswered} visitor(s) unanswered`)
+}
@@ -0,0 +1,100 @@
+import fs from 'fs'
+
+const {
+  CDR_FILE,
+  CDR_MAX_SIZE,
+  CDR_KEEP
+} = process.env
+
+export const cdrFile = CDR_FILE || 'cdr.jsonl'
+
+// Rotate when the file gets bigger than this (bytes), keep that many old files (cdr.jsonl.1, ...)
+const maxSize = parseInt(CDR_MAX_SIZE || String(10 * 1024 * 1024))
+const keep = Math.max(1, parseInt(CDR_KEEP || '5'))
+
+/**
+ * The call detail record of a finished call, from the call info of the Bridge
+ */
+function toRecord(call) {
+  return {
+    callId: call.id,
+    direction: call.direction,
+    camera: call.camera,
+    dingId: call.dingId,
+    destination: call.destination,
+    remoteParty: call.remoteParty,
+    remoteContact: call.remoteContact,
+    ringAt: call.startedAt,
+    answeredAt: call.answeredAt,
+    endedAt: call.endedAt,
+    duration: call.duration,
+    outcome: call.outcome,
+    endReason: call.endReason,
+    failure: call.failure,
+    ringReconnects: call.ringReconnects,
+    recording: call.recording,
+    voicemail: call.voicemail?.file || null,
+    snapshot: call.snapshot?.path || null
+  }
+}
+
+/**
+ * Writes one JSON line per finished call to CDR_FILE (default cdr.jsonl) and rotates it.
+ * `node cdr-query.js` reads them back.
+ */
+class Cdr {
+  constructor() {
+    this.queue = Promise.resolve()  // one write at a time, rotating must not race an append
+  }
+
+  record(call) {
+    const line = JSON.stringify(toRecord(call)) + '\n'
+    this.queue = this.queue
+      .then(() => this._rotate())
+      .then(() => fs.promises.appendFile(cdrFile, line))
+      .catch(err => console.error(`CDR - Can't write ${cdrFile}:`, err.message))
+    return this.queue
+  }
+
+  async _rotate() {
+    let size
+    try {
+      size = (await fs.promises.stat(cdrFile)).size
+    } catch (err) {
+      return  // no file yet
+    }
+    if (size < maxSize) return
+
+    console.log(`CDR - Rotating ${cdrFile}`)
+    await fs.promises.rm(`${cdrFile}.${keep}`, { force: true })
+    for (let i = keep - 1; i >= 1; i--) {
+      await fs.promises.rename(`${cdrFile}.${i}`, `${cdrFile}.${i + 1}`).catch(() => {})
+    }
+    await fs.promises.rename(cdrFile, `${cdrFile}.1`)
+  }
+}
+
+/**
+ * All records of the current and the rotated files, oldest first
+ */
+export async function readCdrs(file = cdrFile) {
+  const files = [file]
+  for (let i = 1; fs.existsSync(`${file}.${i}`); i++) files.unshift(`${file}.${i}`)
+
+  const records = []
+  for (const path of files) {
+    if (!fs.existsSync(path)) continue
+    for (const line of (await fs.promises.readFile(path, 'utf8')).split('\n')) {
+      if (!line.trim()) continue
+      try {
+        records.push(JSON.parse(line))
+      } catch (err) {
+        console.error(`CDR - Skipping broken line in ${path}`)
+      }
+    }
+  }
+  return records
+}
+
+// Export a singleton instance
+export const cdr = new Cdr()
@@ -0,0 +1,55 @@
+const {
+  SIP_CODECS
+} = process.env
+
+/**
+ * Audio codecs we can negotiate on the SIP leg. Ring uses OPUS, everything else
+ * is transcoded with FFmpeg (see transcoder.js).
+ *
+ * payloadType is our default (static for G.711/G.722), clockRate is the RTP clock,
+ * sampleRate and channels are what FFmpeg encodes with.
+ */
+export const AUDIO_CODECS = {
+  OPUS: { name: 'OPUS', payloadType: 96, clockRate: 48000, channels: 2, sampleRate: 48000, ffmpegCodec: 'libopus', fmtp: 'useinbandfec=1;minptime=10' },
+  G722: { name: 'G722', payloadType: 9, clockRate: 8000, channels: 1, sampleRate: 16000, ffmpegCodec: 'g722' },
+  PCMU: { name: 'PCMU', payloadType: 0, clockRate: 8000, channels: 1, sampleRate: 8000, ffmpegCodec: 'pcm_mulaw' },
+  PCMA: { name: 'PCMA', payloadType: 8, clockRate: 8000, channels: 1, sampleRate: 8000, ffmpegCodec: 'pcm_alaw' }
+}
+
+/**
+ * RFC 4733 telephone-event (DTMF). Its clock rate has to match the audio codec,
+ * so we offer one per clock rate.
+ */
+export const TELEPHONE_EVENTS = [
+  { name: 'telephone-event', payloadType: 101, clockRate: 8000, channels: 1, fmtp: '0-16' },
+  { name: 'telephone-event', payloadType: 102, clockRate: 48000, channels: 1, fmtp: '0-16' }
+]
+
+// Our preference when we offer or pick a codec. OPUS first so we don't transcode if we don't have to.
+export const audioCodecPreference = (SIP_CODECS || 'OPUS,G722,PCMU,PCMA')
+  .split(',')
+  .map(name => name.trim().toUpperCase())
+  .filter(name => AUDIO_CODECS[name])
+
+/**
+ * Find a codec by the encoding name of an rtpmap ("opus", "PCMU", ...)
+ */
+export function findAudioCodec(encodingName) {
+  return AUDIO_CODECS[encodingName.toUpperCase()]
+}
+
+/**
+ * Find a codec by its static payload type, for SDPs that leave out the rtpmap
+ */
+export function findStaticAudioCodec(payloadType) {
+  return Object.values(AUDIO_CODECS).find(codec => codec.name !== 'OPUS' && codec.payloadType === payloadType)
+}
+
+/**
+ * The rtpmap value for a codec, e.g. "PCMU/8000" or "OPUS/48000/2"
+ */
+export function rtpmapOf(codec) {
+  return codec.channels > 1
+    ? `${codec.name}/${codec.clockRate}/${codec.channels}`
+    : `${codec.name}/${codec.clockRate}`
+}
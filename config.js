@@ -0,0 +1,278 @@
+import fs from 'fs'
+import { parseTime } from './schedule.js'
+
+const {
+  CONFIG_FILE,
+  CAMERA_NAME,
+  SIP_DEST,
+  HANGUP_FILE
+} = process.env
+
+/**
+ * Reads the optional JSON config file (CONFIG_FILE, defaults to config.json).
+ * Everything that doesn't fit into a single env variable lives there.
+ */
+function readConfigFile() {
+  const path = CONFIG_FILE || 'config.json'
+  if (!fs.existsSync(path)) {
+    if (CONFIG_FILE) {
+      throw new Error(`CONFIG - Config file ${path} not found`)
+    }
+    return {}
+  }
+  console.log(`CONFIG - Reading ${path}`)
+  return JSON.parse(fs.readFileSync(path, 'utf8'))
+}
+
+/**
+ * DTMF sequences and their actions. Camera entries override the top level `dtmf` section.
+ * An action is an object like { "action": "light", "on": true } or just its name ("hangup").
+ */
+function normalizeDtmfConfig(dtmf = {}) {
+  const actions = {}
+  for (const [sequence, action] of Object.entries(dtmf.actions || {})) {
+    actions[String(sequence).toUpperCase()] = typeof action === 'string' ? { action } : action
+  }
+  return {
+    actions,
+    timeout: dtmf.timeout || 3000
+  }
+}
+
+/**
+ * The door opener (see door.js). Camera entries override the top level `door` section.
+ * Returns null if there is no PIN or nothing to switch.
+ */
+function normalizeDoorConfig(door) {
+  if (!door) return null
+  if (!(door.pin || door.pins) || !(door.http?.url || door.command)) {
+    console.error('CONFIG - A door needs a pin and either http.url or command. Door opener disabled.')
+    return null
+  }
+  return {
+    pins: [].concat(door.pins || door.pin).map(String),
+    start: door.start || '*',
+    end: door.end || '#',
+    timeout: door.timeout || 10000,
+    http: door.http || null,
+    command: door.command || null,
+    tone: door.tone || null,
+    maxAttempts: door.maxAttempts || 3,
+    lockout: door.lockout || 300,
+    auditLog: door.auditLog || 'door-audit.jsonl'
+  }
+}
+
+/**
+ * Snapshots on button presses (see snapshot.js). Camera entries override the top level
+ * `snapshot` section, `false` turns them off for a camera.
+ */
+function normalizeSnapshotConfig(snapshot) {
+  if (!snapshot) return null
+  if (snapshot === true) snapshot = {}
+  return {
+    source: ['ring', 'video', 'fake'].includes(snapshot.source) ? snapshot.source : 'auto',
+    dir: snapshot.dir || 'snapshots',
+    baseUrl: snapshot.baseUrl || null,
+    fakeImage: snapshot.fakeImage || null,
+    message: snapshot.message !== false
+  }
+}
+
+/**
+ * Call recording (see recorder.js). The top level `recording` section holds the settings and
+ * records every camera unless `enabled` is false. A camera entry turns it on or off (true/false)
+ * or overrides settings. Returns null if the camera isn't recorded.
+ */
+function normalizeRecordingConfig(entryRecording) {
+  const defaults = typeof config.recording === 'object' ? config.recording : { enabled: !!config.recording }
+  if (entryRecording === false) return null
+
+  let recording
+  if (entryRecording === true) {
+    recording = { ...defaults, enabled: true }
+  } else if (entryRecording) {
+    recording = { ...defaults, enabled: true, ...entryRecording }
+  } else {
+    recording = { enabled: true, ...defaults }
+  }
+  if (!recording.enabled) return null
+
+  return {
+    dir: recording.dir || 'recordings',
+    format: recording.format === 'wav' ? 'wav' : 'ogg',
+    mode: recording.mode === 'mix' ? 'mix' : 'stereo',
+    // A file, null for a beep, false for no announcement
+    announcement: recording.announcement === undefined ? null : recording.announcement,
+    retentionDays: recording.retentionDays || 0
+  }
+}
+
+const ROUTE_ACTIONS = ['call', 'closed']
+const SCHEDULE_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun', 'holiday']
+
+// 'Monday' => 'mon', 'holidays' => 'holiday'
+function normalizeDay(day) {
+  const short = String(day).toLowerCase().substring(0, 3)
+  return short === 'hol' ? 'holiday' : short
+}
+
+// What a schedule rule (or its default) does, see schedule.js
+function normalizeRouteAction(entry = {}, what) {
+  if (entry.action && !ROUTE_ACTIONS.includes(entry.action)) {
+    console.error(`CONFIG - Unknown schedule action ${entry.action} in ${what}. Calling instead.`)
+  }
+  return {
+    action: ROUTE_ACTIONS.includes(entry.action) ? entry.action : 'call',
+    dest: entry.dest ? String(entry.dest) : null,
+    // A file, null for a beep
+    prompt: entry.prompt || null
+  }
+}
+
+/**
+ * Time-based routing of dings (see schedule.js). Camera entries override the top level
+ * `schedule` section, `false` turns it off for a camera.
+ */
+function normalizeScheduleConfig(schedule) {
+  if (!schedule) return null
+
+  const rules = []
+  for (const [index, rule] of (schedule.rules || []).entries()) {
+    const name = rule.name || `rule ${index + 1}`
+    const from = parseTime(rule.from || '00:00')
+    const to = parseTime(rule.to || '24:00')
+    const days = rule.days ? [].concat(rule.days).map(normalizeDay) : null
+    if (from === null || to === null || from === to || days?.some(day => !SCHEDULE_DAYS.includes(day))) {
+      console.error(`CONFIG - Schedule rule ${name} needs days like "mon" and times like "08:00". Skipping it.`)
+      continue
+    }
+    rules.push({ name, days, from, to, ...normalizeRouteAction(rule, name) })
+  }
+
+  let timezone = schedule.timezone || null
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone || undefined })
+  } catch (err) {
+    console.error(`CONFIG - Unknown time zone ${timezone} in the schedule. Using the local time.`)
+    timezone = null
+  }
+
+  return {
+    timezone,
+    holidays: (schedule.holidays || []).map(String),
+    rules,
+    default: normalizeRouteAction(schedule.default, 'default')
+  }
+}
+
+/**
+ * A message from the visitor when nobody answers (see Bridge._startVoicemail). Camera entries
+ * override the top level `voicemail` section, `false` turns it off for a camera.
+ */
+function normalizeVoicemailConfig(voicemail) {
+  if (!voicemail) return null
+  if (voicemail === true) voicemail = {}
+  return {
+    // A file, null for a beep
+    greeting: voicemail.greeting || null,
+    maxDuration: voicemail.maxDuration || 60,
+    // Final responses of the SIP call that mean nobody answered
+    statuses: (voicemail.statuses || [408, 480, 486, 600, 603]).map(Number),
+    dir: voicemail.dir || 'voicemail',
+    format: voicemail.format === 'wav' ? 'wav' : 'ogg',
+    mode: 'visitor',
+    retentionDays: voicemail.retentionDays || 0,
+    // Calls to this SIP user reach the voicemail box, without a Ring call
+    inboundUser: voicemail.inboundUser ? String(voicemail.inboundUser) : null
+  }
+}
+
+const HUNT_FALLBACKS = ['voicemail', 'prompt', 'hangup']
+
+/**
+ * The hunt list of doorbell calls (see hunt.js). A step is a destination, a list of them
+ * (rung in parallel) or { dest, timeout }. Camera entries override the top level `hunt`
+ * section, `false` turns it off for a camera.
+ */
+function normalizeHuntConfig(hunt) {
+  if (!hunt) return null
+  if (Array.isArray(hunt)) hunt = { steps: hunt }
+
+  const steps = (hunt.steps || []).map((step) => {
+    const entry = typeof step === 'object' && !Array.isArray(step) ? step : { dest: step }
+    return {
+      dests: [].concat(entry.dest).filter(dest => dest !== undefined && dest !== null).map(String),
+      // Seconds until the next step rings
+      timeout: entry.timeout || hunt.timeout || 20
+    }
+  }).filter(step => step.dests.length)
+  if (!steps.length) {
+    console.error('CONFIG - A hunt list needs steps with a dest. Hunt list disabled.')
+    return null
+  }
+
+  // What the visitor gets when nobody answered: a voicemail (if configured), a prompt or nothing
+  const fallback = typeof hunt.fallback === 'object' ? hunt.fallback : { action: hunt.fallback }
+  if (fallback.action && !HUNT_FALLBACKS.includes(fallback.action)) {
+    console.error(`CONFIG - Unknown hunt fallback ${fallback.action}. Using voicemail.`)
+  }
+  return {
+    steps,
+    fallback: {
+      action: HUNT_FALLBACKS.includes(fallback.action) ? fallback.action : 'voicemail',
+      // A file, null for a beep
+      prompt: fallback.prompt || null
+    }
+  }
+}
+
+/**
+ * Fills in the defaults of one entry of `cameras`. A camera is identified either
+ * by its Ring `id`, or by its `name` (optionally narrowed down by `location` name).
+ */
+function normalizeCameraConfig(entry) {
+  return {
+    id: entry.id !== undefined ? String(entry.id) : null,
+    location: entry.location || null,
+    name: entry.name || null,
+    dest: String(entry.dest || SIP_DEST),
+    displayName: entry.displayName || entry.name || null,
+    inboundUser: entry.inboundUser ? String(entry.inboundUser) : null,
+    // Seconds an inbound call waits (with early media) for Ring to connect
+    answerTimeout: entry.answerTimeout || config.answerTimeout || 20,
+    topic: entry.topic || null,
+    tones: {
+      ringback: entry.tones?.ringback || 'ringback.opus',
+      hangup: entry.tones?.hangup || HANGUP_FILE || null
+    },
+    dtmf: normalizeDtmfConfig(entry.dtmf || config.dtmf),
+    door: normalizeDoorConfig(entry.door || config.door),
+    recording: normalizeRecordingConfig(entry.recording),
+    snapshot: normalizeSnapshotConfig(entry.snapshot ?? config.snapshot),
+    schedule: normalizeScheduleConfig(entry.schedule ?? config.schedule),
+    voicemail: normalizeVoicemailConfig(entry.voicemail ?? config.voicemail),
+    hunt: normalizeHuntConfig(entry.hunt ?? config.hunt)
+  }
+}
+
+export const config = readConfigFile()
+
+// Without a config file we fall back to the single CAMERA_NAME => SIP_DEST mapping from .env
+export const cameraConfigs = (config.cameras || (CAMERA_NAME ? [{ name: CAMERA_NAME }] : []))
+  .map(normalizeCameraConfig)
+
+/**
+ * Finds the config entry for a Ring camera, or undefined if the camera isn't mapped.
+ */
+export function findCameraConfig(camera, location) {
+  return cameraConfigs.find((cameraConfig) => {
+    if (cameraConfig.id) {
+      return cameraConfig.id === String(camera.id)
+    }
+    if (cameraConfig.location && cameraConfig.location !== location?.name) {
+      return false
+    }
+    return cameraConfig.name === camera.name
+  })
+}
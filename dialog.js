@@ -0,0 +1,92 @@
+/**
+ * The state of an established SIP dialog (RFC 3261 section 12): tags, remote target,
+ * route set and our CSeq. Builds the in-dialog requests (BYE, re-INVITE, UPDATE, ACK)
+ * so they go out with the right headers, no matter which side created the call.
+ */
+export default class Dialog {
+  constructor({ callId, local, remote, remoteTarget, routeSet, localSeq, contact }) {
+    this.callId = callId
+    this.local = local               // our From header, with our tag
+    this.remote = remote             // their To header, with their tag
+    this.remoteTarget = remoteTarget // the remote Contact URI
+    this.routeSet = routeSet
+    this.localSeq = localSeq
+    this.contact = contact
+  }
+
+  /**
+   * We sent the INVITE (UAC), created from its 2xx response
+   */
+  static fromResponse(request, response, contact) {
+    return new Dialog({
+      callId: request.headers['call-id'],
+      local: request.headers.from,
+      remote: response.headers.to,
+      remoteTarget: response.headers.contact?.[0]?.uri || request.uri,
+      // The UAC reverses the Record-Route
+      routeSet: [...(response.headers['record-route'] || [])].reverse(),
+      localSeq: request.headers.cseq.seq,
+      contact
+    })
+  }
+
+  /**
+   * We received the INVITE (UAS). localTag goes into the To of all our responses.
+   */
+  static fromRequest(request, localTag, contact) {
+    const { to } = request.headers
+    return new Dialog({
+      callId: request.headers['call-id'],
+      local: { ...to, params: { ...to.params, tag: localTag } },
+      remote: request.headers.from,
+      remoteTarget: request.headers.contact?.[0]?.uri || request.headers.from.uri,
+      routeSet: [...(request.headers['record-route'] || [])],
+      localSeq: 0,
+      contact
+    })
+  }
+
+  /**
+   * A new request within the dialog. ACK (and CANCEL) reuse the CSeq of the INVITE they
+   * belong to, pass it as `seq`. Everything else gets the next CSeq.
+   */
+  createRequest(method, { seq, headers = {}, content } = {}) {
+    const request = {
+      method,
+      uri: this.remoteTarget,
+      headers: {
+        to: this.remote,
+        from: this.local,
+        'call-id': this.callId,
+        cseq: { method, seq: seq !== undefined ? seq : ++this.localSeq },
+        via: [],
+        'max-forwards': 70,
+        ...headers
+      }
+    }
+    if (this.routeSet.length) {
+      // The SIP stack shifts the route set while sending, give it a copy
+      request.headers.route = [...this.routeSet]
+    }
+    if (['INVITE', 'UPDATE'].includes(method)) {
+      request.headers.contact = [{ uri: this.contact }]
+    }
+    if (content) {
+      request.headers['content-type'] = 'application/sdp'
+      request.content = content
+    }
+    return request
+  }
+
+  /**
+   * Our response to a request within (or creating) the dialog: same as the
+   * request, plus our tag and Contact
+   */
+  completeResponse(response) {
+    response.headers.to = this.local
+    if (response.status >= 101 && response.status < 300) {
+      response.headers.contact = [{ uri: this.contact }]
+    }
+    return response
+  }
+}
@@ -0,0 +1,138 @@
+import fs from 'fs'
+import { exec } from 'child_process'
+import { createHash, timingSafeEqual } from 'crypto'
+import { EventEmitter } from 'events'
+
+// The relay must react within this time (ms)
+const ACTION_TIMEOUT = 10000
+
+function hash(pin) {
+  return createHash('sha256').update(pin).digest()
+}
+
+/**
+ * Door opener of one camera. While a call is bridged the phone enters "*<PIN>#" (see `door` in
+ * config.json) and we switch a relay, either by HTTP or with a shell command. Every attempt is
+ * written to the audit log, too many wrong PINs lock the door opener for a while.
+ *
+ * Emits 'opened' after the relay was switched.
+ */
+export default class DoorOpener extends EventEmitter {
+  constructor(doorConfig, cameraName) {
+    super()
+    this.config = doorConfig
+    this.cameraName = cameraName
+    this.entry = null        // the digits of the PIN entry in progress
+    this.entryTimeout = null
+    this.failures = []       // times of recent wrong PINs
+    this.lockedUntil = 0
+  }
+
+  /**
+   * Feed a DTMF digit. Returns true if it belongs to a PIN entry and must not be used for anything else.
+   */
+  handleDigit(digit, caller) {
+    if (this.entry === null) {
+      if (digit !== this.config.start) return false
+      this.entry = ''
+    } else if (digit === this.config.end) {
+      const pin = this.entry
+      this.cancelEntry()
+      this.attempt(pin, caller).catch(err => console.error('DOOR - Error handling PIN:', err))
+      return true
+    } else {
+      this.entry += digit
+    }
+
+    // Forget a PIN entry that was never finished
+    clearTimeout(this.entryTimeout)
+    this.entryTimeout = setTimeout(() => this.cancelEntry(), this.config.timeout)
+    return true
+  }
+
+  cancelEntry() {
+    clearTimeout(this.entryTimeout)
+    this.entryTimeout = null
+    this.entry = null
+  }
+
+  /**
+   * Check the PIN and open the door. Resolves with true if the door was opened.
+   */
+  async attempt(pin, caller) {
+    const now = Date.now()
+    if (now < this.lockedUntil) {
+      await this._audit(caller, 'locked')
+      return false
+    }
+
+    if (!this._checkPin(pin)) {
+      // Only failures within the lockout period count
+      this.failures = this.failures.filter(time => now - time < this.config.lockout * 1000)
+      this.failures.push(now)
+      if (this.failures.length >= this.config.maxAttempts) {
+        this.failures = []
+        this.lockedUntil = now + this.config.lockout * 1000
+        await this._audit(caller, 'wrong-pin', `locked for ${this.config.lockout}s`)
+      } else {
+        await this._audit(caller, 'wrong-pin')
+      }
+      return false
+    }
+
+    this.failures = []
+    try {
+      await this._switchRelay()
+    } catch (err) {
+      await this._audit(caller, 'failed', err.message)
+      return false
+    }
+    await this._audit(caller, 'opened')
+    this.emit('opened')
+    return true
+  }
+
+  //--------------------------------------------------------------------------
+  // Internal Helpers
+  //--------------------------------------------------------------------------
+
+  _checkPin(pin) {
+    const entered = hash(pin)
+    // Check every PIN, so the time it takes doesn't tell anything
+    return this.config.pins.reduce((match, valid) => timingSafeEqual(entered, hash(valid)) || match, false)
+  }
+
+  _switchRelay() {
+    const { http, command } = this.config
+    if (command) {
+      return new Promise((resolve, reject) => {
+        exec(command, { timeout: ACTION_TIMEOUT }, (err) => err ? reject(err) : resolve())
+      })
+    }
+
+    const hasBody = http.body !== undefined
+    return fetch(http.url, {
+      method: http.method || 'POST',
+      headers: { ...(hasBody ? { 'content-type': 'application/json' } : {}), ...http.headers },
+      body: hasBody ? JSON.stringify(http.body) : undefined,
+      signal: AbortSignal.timeout(ACTION_TIMEOUT)
+    }).then((response) => {
+      if (!response.ok) throw new Error(`Relay answered ${response.status} ${response.statusText}`)
+    })
+  }
+
+  /**
+   * One JSON line per attempt: time, camera, caller, result
+   */
+  async _audit(caller, result, detail = null) {
+    const entry = { time: new Date().toISOString(), camera: this.cameraName, caller, result }
+    if (detail) entry.detail = detail
+    console.log(`DOOR - ${this.cameraName} - ${result} by ${caller}${detail ? ` (${detail})` : ''}`)
+
+    try {
+      await fs.promises.appendFile(this.config.auditLog, JSON.stringify(entry) + '\n')
+    } catch (err) {
+      console.error(`DOOR - Can't write audit log ${this.config.auditLog}:`, err.message)
+    }
+  }
+}
@@ -0,0 +1,86 @@
+import { RtpPacket } from 'werift'
+
+// RFC 4733 event codes 0-15
+const DIGITS = '0123456789*#ABCD'
+
+/**
+ * The digit of a telephone-event RTP packet, but only for the first packet of an event.
+ * An event is repeated (same timestamp) until it ends, plus three end packets.
+ */
+export class RtpDtmfDetector {
+  constructor() {
+    this.lastTimestamp = null
+  }
+
+  process(message) {
+    const rtp = RtpPacket.deSerialize(message)
+    if (rtp.payload.length < 4) return null
+
+    const event = rtp.payload[0]
+    if (rtp.header.timestamp === this.lastTimestamp || event >= DIGITS.length) return null
+
+    this.lastTimestamp = rtp.header.timestamp
+    return DIGITS[event]
+  }
+}
+
+/**
+ * The digit of a SIP INFO, application/dtmf-relay ("Signal=5") or application/dtmf ("5")
+ */
+export function parseDtmfInfo(request) {
+  const contentType = String(request.headers['content-type'] || '').toLowerCase()
+  const body = request.content || ''
+
+  let signal = null
+  if (contentType.startsWith('application/dtmf-relay')) {
+    signal = body.match(/^\s*signal\s*=\s*(\S)/im)?.[1]
+  } else if (contentType.startsWith('application/dtmf')) {
+    signal = body.trim()[0]
+  }
+  signal = signal?.toUpperCase()
+  return signal && DIGITS.includes(signal) ? signal : null
+}
+
+/**
+ * Collects digits and calls onMatch(sequence, action) once they form one of the configured
+ * sequences, e.g. "#" or a PIN like "*1234". Digits that can't lead to a sequence are dropped,
+ * a started sequence is forgotten after `timeout` ms without a digit.
+ */
+export class DtmfCollector {
+  constructor({ actions, timeout }, onMatch) {
+    this.actions = actions
+    this.timeout = timeout
+    this.onMatch = onMatch
+    this.buffer = ''
+    this.timer = null
+  }
+
+  push(digit) {
+    clearTimeout(this.timer)
+    this.buffer += digit
+
+    // Drop leading digits until what's left can still become a sequence
+    while (this.buffer && !this._isPrefix(this.buffer)) {
+      this.buffer = this.buffer.substring(1)
+    }
+
+    const action = this.actions[this.buffer]
+    if (action) {
+      const sequence = this.buffer
+      this.buffer = ''
+      this.onMatch(sequence, action)
+    } else if (this.buffer) {
+      this.timer = setTimeout(() => this.reset(), this.timeout)
+    }
+  }
+
+  reset() {
+    clearTimeout(this.timer)
+    this.timer = null
+    this.buffer = ''
+  }
+
+  _isPrefix(buffer) {
+    return Object.keys(this.actions).some(sequence => sequence.startsWith(buffer))
+  }
+}
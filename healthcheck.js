@@ -0,0 +1,10 @@
+import 'dotenv/config'
+
+// Docker HEALTHCHECK: healthy while the API reports a SIP registration. Without API_PORT there is nothing to check.
+const { API_PORT } = process.env
+
+if (!API_PORT) process.exit(0)
+
+fetch(`http://127.0.0.1:${API_PORT}/health`, { signal: AbortSignal.timeout(4000) })
+  .then(response => process.exit(response.ok ? 0 : 1))
+  .catch(() => process.exit(1))
@@ -0,0 +1,189 @@
+import { EventEmitter } from 'events'
+import { sip } from './sip.js'
+import { rstring } from './util.js'
+
+// Events of the call that answered, passed on as they are
+const WINNER_EVENTS = ['callEnded', 'dtmf', 'audio']
+
+/**
+ * The SIP leg of a doorbell call with a hunt list (see `hunt` in config.json). The steps
+ * ring one after the other, the destinations of a step in parallel: one SipCall (forked
+ * INVITE) each. The first 200 OK wins, the other calls of the step get a CANCEL. A step
+ * ends after its timeout, or once all its calls failed (busy, declined, ...).
+ *
+ * To the Bridge it looks like a single SipCall, the methods and events of the call that
+ * answered are passed on. 'callFailed' comes once the last step is over.
+ */
+export default class Hunt extends EventEmitter {
+  constructor(cameraConfig) {
+    super()
+    this.cameraConfig = cameraConfig
+    this.steps = cameraConfig.hunt.steps
+    this._huntId = rstring()    // until a call answered, see callId
+    this.stepIndex = -1
+    this.calls = []        // the calls of the current step
+    this.winner = null
+    this.ring = null       // see pipeAudio()
+    this.lastFailure = null
+    this.timer = null
+    this.closed = false
+  }
+
+  // The SIP Call-ID of the call that answered
+  get callId() {
+    return this.winner?.callId ?? this._huntId
+  }
+
+  get dest() {
+    return this.winner?.dest || null
+  }
+
+  get remoteParty() {
+    return this.winner?.remoteParty || null
+  }
+
+  get remoteContact() {
+    return this.winner?.remoteContact || null
+  }
+
+  get remoteAudioCodec() {
+    return this.winner?.remoteAudioCodec
+  }
+
+  get state() {
+    if (this.winner) return this.winner.state
+    return {
+      callId: this.callId,
+      established: false,
+      hunt: { step: this.stepIndex + 1, of: this.steps.length, ringing: this.calls.map(call => call.dest) }
+    }
+  }
+
+  //--------------------------------------------------------------------------
+  // Public Methods
+  //--------------------------------------------------------------------------
+
+  initiateCall() {
+    return this._nextStep()
+  }
+
+  endCall() {
+    clearTimeout(this.timer)
+    this.timer = null
+    for (const call of this.calls) call.endCall()
+    this.calls = []
+    this.winner?.endCall()
+
+    if (!this.closed) {
+      this.closed = true
+      this.emit('closed')
+    }
+  }
+
+  // Only for inbound calls
+  acceptInvite() {}
+  declineInvite() {}
+
+  pipeAudio(ring) {
+    this.ring = ring
+    this.winner?.pipeAudio(ring)
+  }
+
+  sendAudioPacket(rtp, isTone) {
+    this.winner?.sendAudioPacket(rtp, isTone)
+  }
+
+  sendVideoPacket(rtp) {
+    this.winner?.sendVideoPacket(rtp)
+  }
+
+  sendPromptPacket(rtp) {
+    this.winner?.sendPromptPacket(rtp)
+  }
+
+  startPrompt() {
+    this.winner?.startPrompt()
+  }
+
+  endPrompt() {
+    this.winner?.endPrompt()
+  }
+
+  //--------------------------------------------------------------------------
+  // Internal Helpers
+  //--------------------------------------------------------------------------
+
+  async _nextStep() {
+    if (this.closed || this.winner) return
+
+    this.stepIndex++
+    const step = this.steps[this.stepIndex]
+    if (!step) {
+      console.log('HUNT - Nobody answered.')
+      this.emit('callFailed', this.lastFailure || { status: 408, reason: 'Request Timeout' })
+      return
+    }
+
+    console.log(`HUNT - Step ${this.stepIndex + 1}/${this.steps.length}: ringing ${step.dests.join(', ')} for ${step.timeout} seconds`)
+    const calls = this.calls = step.dests.map(dest => this._createCall(dest))
+    this.timer = setTimeout(() => {
+      console.log(`HUNT - Step ${this.stepIndex + 1} timed out.`)
+      this.lastFailure = { status: 408, reason: 'Request Timeout' }
+      this._endStep(calls)
+    }, step.timeout * 1000)
+
+    await Promise.all(calls.map(call => call.initiateCall(call.dest)))
+  }
+
+  _createCall(dest) {
+    const call = sip.createCall(this.cameraConfig)
+    call.dest = dest
+
+    call.on('ringing', () => this.emit('ringing'))
+
+    call.on('callEstablished', (rtpInfo) => {
+      // Another fork was faster
+      if (this.winner || this.closed || !this.calls.includes(call)) {
+        call.endCall()
+        return
+      }
+      console.log(`HUNT - ${dest} answered.`)
+      this.winner = call
+      clearTimeout(this.timer)
+      this.timer = null
+      for (const other of this.calls) {
+        if (other !== call) other.endCall()
+      }
+      this.calls = []
+
+      for (const event of WINNER_EVENTS) call.on(event, (...args) => this.emit(event, ...args))
+      call.once('closed', () => this.endCall())
+      if (this.ring) call.pipeAudio(this.ring)
+      this.emit('callEstablished', rtpInfo)
+    })
+
+    call.on('callFailed', (failure) => {
+      if (this.winner === call) {
+        this.emit('callFailed', failure)
+        return
+      }
+      console.log(`HUNT - ${dest} failed: ${failure?.status} ${failure?.reason}`)
+      this.lastFailure = failure
+      call.endCall()
+      // The step is over once all its calls failed
+      const calls = this.calls
+      if (calls.includes(call) && calls.every(other => other.closed)) this._endStep(calls)
+    })
+
+    return call
+  }
+
+  _endStep(calls) {
+    if (this.calls !== calls || this.winner) return
+    clearTimeout(this.timer)
+    this.timer = null
+    for (const call of calls) call.endCall()
+    this.calls = []
+    this._nextStep().catch(err => console.error('HUNT - Error ringing the next step:', err))
+  }
+}
@@ -1,79 +1,103 @@
 import 'dotenv/config'
 import { sip } from './sip.js'
 import { ring } from './ring.js'
-import { tones } from './tones.js'
+import Bridge from './bridge.js'
+import { webhooks } from './webhooks.js'
+import { mqtt } from './mqtt.js'
+import { api } from './api.js'
+import * as metrics from './metrics.js'
+import { cdr } from './cdr.js'
+import { startRetention } from './recorder.js'
 
-const { NOTIFY_URL } = process.env;
+// One bridge per mapped camera, keyed by its config entry
+const bridges = new Map()
 
 // Initialize
 Promise.all([
   sip.initialize(),
   ring.initialize()
 ]).then(() => {
-  tones.initialize(sip, ring)
-  console.log('INDEX - Initialized.')
-
-  // Setup event listeners for SIP
-  sip.on('ringing', () => {
-    console.error('INDEX - SIP ringing')
-    // for Ring button initiated all, the ring speaker should not play the ringback tone unless sip is actually ringing
-    tones.sipRinging()
-  })
+  for (const { camera, cameraConfig } of ring.cameras) {
+    const bridge = new Bridge(camera, cameraConfig)
+    bridges.set(cameraConfig, bridge)
 
-  sip.on('callEstablished', (rtpInfo) => {
-    console.log('INDEX - SIP call established')
-    tones.sipReady()
-    ring.pipeAudio(sip)
-  })
+    for (const event of ['callStarted', 'callAnswered', 'callFailed', 'callEnded']) {
+      bridge.on(event, (call) => {
+        dispatchEvent(event, { camera: describeCamera(camera), dingId: call.dingId, call })
+      })
+    }
+    bridge.on('callStarted', call => mqtt.publishCall(cameraConfig, 'calling', call))
+    bridge.on('callAnswered', call => mqtt.publishCall(cameraConfig, 'active', call))
+    bridge.on('callEnded', call => mqtt.publishCall(cameraConfig, 'idle', call))
 
-  sip.on('callFailed', (err) => {
-    console.error('INDEX - SIP call failed:', err)
-    fullCleanup()
-  })
+    bridge.on('callAnswered', (call) => {
+      const seconds = (Date.parse(call.answeredAt) - Date.parse(call.startedAt)) / 1000
+      metrics.answerTime.observe({ camera: camera.name, direction: call.direction }, seconds)
+    })
+    bridge.on('callEnded', call => cdr.record(call))
 
-  sip.on('callEnded', () => {
-    console.log('INDEX - SIP call ended. Cleaning up everything.')
-    fullCleanup()
-  })
+    bridge.on('voicemail', ({ dingId, file, duration }) => {
+      dispatchEvent('voicemail', { camera: describeCamera(camera), dingId, voicemail: { file, duration } })
+    })
 
-  sip.on('inboundCall', () => {
-    console.log('INDEX - Inbound SIP call. Initiating RING call.')
-    ring.initiateCall()
-  })
+    bridge.on('snapshot', ({ dingId, destination, path, url }) => {
+      dispatchEvent('snapshot', { camera: describeCamera(camera), dingId, snapshot: { path, url } })
+      // Phones that show messages can see who's at the door before answering.
+      // No call after hours, no message.
+      if (cameraConfig.snapshot.message && url && destination) {
+        sip.sendMessage(destination, `Someone is at the ${camera.name}: ${url}`)
+      }
+    })
 
-  // Setup event listeners for Ring
-  ring.on('callEstablished', () => {
-    console.log('INDEX - Ring call established')
-    sip.pipeAudio(ring)
-  })
+    bridge.on('callEnded', (call) => {
+      metrics.calls.inc({ camera: camera.name, direction: call.direction, outcome: call.outcome })
+      if (call.duration !== null) metrics.callDuration.observe({ camera: camera.name, direction: call.direction }, call.duration)
+    })
+  }
+  console.log(`INDEX - Initialized with ${bridges.size} camera(s).`)
 
-  ring.on('receivingAudio', () => {
-    console.log('INDEX - Receiving audio from Ring')
-    tones.ringReady()
-  })
+  startRetention(ring.cameras.flatMap(({ cameraConfig }) => [cameraConfig.recording, cameraConfig.voicemail]).filter(Boolean))
 
-  ring.on('callEnded', () => {
-    console.log('INDEX - Ring call ended. Cleaning up everything.')
-    fullCleanup()
-  })
+  sip.on('inboundCall', (sipCall, request) => {
+    const bridge = bridges.get(sipCall.cameraConfig)
 
-  let lastButtonPress = 0
-  let lastDingId = null
+    if (!bridge) {
+      console.log('INDEX - Inbound SIP call for a camera that was not found on Ring. Rejecting.')
+      sipCall.reject(request, 404, 'Not Found')
+      return
+    }
+    if (bridge.isBusy) {
+      console.log(`INDEX - Inbound SIP call for ${bridge.camera.name}, but it is already in a call. Rejecting.`)
+      sipCall.reject(request, 486, 'Busy Here')
+      return
+    }
 
-  ring.on('buttonPressed', (data) => {
-    // Determine if data is the camera object (old way) or { camera, dingId } (new way)
-    let camera = data
-    let dingId = null
+    console.log(`INDEX - Inbound SIP call for ${bridge.camera.name}.`)
+    bridge.answer(sipCall, request)
+  })
 
-    if (data && data.dingId) {
-      camera = data.camera
-      dingId = data.dingId
+  sip.on('mailboxCall', (sipCall, request) => {
+    const bridge = bridges.get(sipCall.cameraConfig)
+    if (!bridge) {
+      console.log('INDEX - Voicemail call for a camera that was not found on Ring. Rejecting.')
+      sipCall.reject(request, 404, 'Not Found')
+      return
     }
 
+    console.log(`INDEX - Voicemail call for ${bridge.camera.name}.`)
+    bridge.openMailbox(sipCall, request)
+  })
+
+  // Debounce state per camera
+  const lastButtonPress = new Map()
+  const lastDingId = new Map()
+
+  ring.on('buttonPressed', ({ camera, cameraConfig, dingId }) => {
+    const bridge = bridges.get(cameraConfig)
     const now = Date.now()
 
     // Check Ding ID first (if available)
-    if (dingId && lastDingId === dingId) {
+    if (dingId && lastDingId.get(bridge) === dingId) {
       console.log(`INDEX - Button press ignored (Duplicate Ding ID: ${dingId})`)
       return
     }
@@ -81,76 +105,125 @@ Promise.all([
     // Fallback time debounce (only if IDs are missing or different but very fast?)
     // Actually, if IDs are different, we should allow it!
     // But let's keep a small safety debounce of 500ms even for different IDs to avoid double-triggers
-    if (now - lastButtonPress < 500) {
+    if (now - (lastButtonPress.get(bridge) || 0) < 500) {
       console.log('INDEX - Button press ignored (debounce time)')
       return
     }
 
-    lastButtonPress = now
-    if (dingId) lastDingId = dingId
+    lastButtonPress.set(bridge, now)
+    if (dingId) lastDingId.set(bridge, dingId)
 
     console.log(`INDEX - Button pressed for ${camera.name} (ID: ${dingId})`)
 
     // If a call is already in progress or starting, hang up
-    if (ring.initiatingCall || ring.currentCall || sip.initiatingCall || sip.inviteRequest || sip.sipSession) {
-      console.log('INDEX - Call active. Playing hangup tone...')
-
-      const tonePromise = tones.playHangup()
-      const timeoutPromise = new Promise(resolve => setTimeout(resolve, 2000))
-
-      Promise.race([tonePromise, timeoutPromise]).then(() => {
-        console.log('INDEX - Hangup tone done (or timeout). Cleaning up...')
-        fullCleanup()
-      })
+    if (bridge.isActive) {
+      bridge.hangup('button')
       return
     }
+    if (bridge.isBusy) {
+      console.log('INDEX - Button press ignored (after-hours announcement playing)')
+      return
+    }
+
+    // Time-based routing, see `schedule` in config.json
+    const route = bridge.route()
+    console.log(`INDEX - Routing ding for ${camera.name}${route.rule ? ` by schedule rule "${route.rule}"` : ''}: ` +
+      (route.action === 'closed' ? `closed, playing ${route.prompt || 'a beep'}` : route.hunt ? 'running the hunt list' : `calling ${route.dest}`))
+
+    dispatchEvent('ding', { camera: describeCamera(camera), dingId, route })
+    metrics.dings.inc({ camera: camera.name })
+    mqtt.publishDing(cameraConfig, dingId)
+    if (route.action === 'closed') {
+      bridge.announce(route.prompt, dingId)
+    } else {
+      doConnect(bridge, dingId, route.hunt ? null : route.dest)
+    }
+    bridge.takeSnapshot(dingId)
+  })
+
+  ring.on('motion', ({ camera, cameraConfig, active }) => {
+    if (active) dispatchEvent('motion', { camera: describeCamera(camera) })
+    mqtt.publishMotion(cameraConfig, active)
+  })
 
-    notify()
-    doConnect()
+  ring.on('tokenRefreshed', () => {
+    dispatchEvent('tokenRefreshed')
   })
 
+  sip.on('registered', () => {
+    api.recordEvent('registered', { lastRegister: sip.lastRegister })
+    mqtt.publishRegistration(true)
+  })
+  sip.on('unregistered', () => {
+    api.recordEvent('unregistered', { lastRegister: sip.lastRegister })
+    mqtt.publishRegistration(false)
+  })
+
+  // Remote control, e.g. from Home Assistant
+  mqtt.on('command', ({ cameraConfig, command, file }) => {
+    const bridge = bridges.get(cameraConfig)
+    if (!bridge) return
+
+    if (command === 'call') {
+      callCamera(bridge)
+    } else if (command === 'hangup') {
+      bridge.hangup('remote')
+    } else if (command === 'prompt') {
+      bridge.playPrompt(file)
+    }
+  })
+  mqtt.initialize(ring.cameras)
+  api.initialize(bridges, { call: callCamera, hangup: bridge => bridge.hangup('remote') })
+
   sip.register()
   ring.listen()
-  //doConnect() // for testing purposes
+  //doConnect(bridges.values().next().value) // for testing purposes
 })
 
 process.on('SIGINT', () => {
   console.log('\nINDEX - Caught Ctrl+C. Cleaning up and exiting...')
-  fullCleanup()
+  shutdown()
 })
 
 // Functions
-function fullCleanup() {
+function shutdown() {
+  for (const bridge of bridges.values()) {
+    bridge.end('shutdown')
+  }
   sip.cleanup()
   ring.cleanup()
-  tones.cleanup();
+  mqtt.cleanup()
+  api.cleanup()
   setTimeout(() => {
-    // give sip some time to cleanup
+    // give sip some time to unregister
     process.exit(0)
   }, 200);
 }
 
-function doConnect(camera) {
-  Promise.all([
-    sip.initiateCall(),
-    ring.initiateCall()
-  ])
-    .then(() => {
-      console.log('INDEX - Both calls initiated in parallel.')
-    })
-    .catch((err) => {
-      console.error('INDEX - Error initiating calls:', err)
-      fullCleanup()
-    })
+function doConnect(bridge, dingId = null, dest) {
+  bridge.connect(dingId, dest)
 }
 
-function notify() {
-  if (NOTIFY_URL && NOTIFY_URL.startsWith('http')) {
-    fetch(NOTIFY_URL)
-      .then(response => response.text())
-      .then(data => console.log('INDEX - Notification sent successfully:', data))
-      .catch(error => console.error('INDEX - Error sending notification:', error));
-  } else {
-    console.log('INDEX - NOTIFY_URL is not set or invalid.');
+/**
+ * Call the SIP destination of a camera without a button press (MQTT, API)
+ */
+function callCamera(bridge) {
+  if (bridge.isBusy) {
+    console.log(`INDEX - ${bridge.camera.name} is already in a call. Ignoring call command.`)
+    return
   }
+  console.log(`INDEX - Calling for ${bridge.camera.name} on request`)
+  doConnect(bridge)
+}
+
+/**
+ * An event for the webhooks and the API's event log
+ */
+function dispatchEvent(event, data = {}) {
+  webhooks.dispatch(event, data)
+  api.recordEvent(event, data)
+}
+
+function describeCamera(camera) {
+  return { id: camera.id, name: camera.name }
 }
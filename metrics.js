@@ -0,0 +1,148 @@
+import client from 'prom-client'
+
+/**
+ * Prometheus metrics, served by the API on /metrics
+ */
+export const registry = new client.Registry()
+client.collectDefaultMetrics({ register: registry, prefix: 'ring2sip_' })
+
+export const dings = new client.Counter({
+  name: 'ring2sip_dings_total',
+  help: 'Doorbell button presses',
+  labelNames: ['camera'],
+  registers: [registry]
+})
+
+export const calls = new client.Counter({
+  name: 'ring2sip_calls_total',
+  help: 'Finished calls by outcome (answered, failed, cancelled)',
+  labelNames: ['camera', 'direction', 'outcome'],
+  registers: [registry]
+})
+
+export const registerFailures = new client.Counter({
+  name: 'ring2sip_register_failures_total',
+  help: 'REGISTER requests the registrar did not accept',
+  labelNames: ['status'],
+  registers: [registry]
+})
+
+export const answerTime = new client.Histogram({
+  name: 'ring2sip_answer_seconds',
+  help: 'Time from the start of a call until the SIP side answered',
+  labelNames: ['camera', 'direction'],
+  buckets: [1, 2, 5, 10, 15, 20, 30, 45, 60],
+  registers: [registry]
+})
+
+export const callDuration = new client.Histogram({
+  name: 'ring2sip_call_duration_seconds',
+  help: 'Duration of answered calls',
+  labelNames: ['camera', 'direction'],
+  buckets: [5, 15, 30, 60, 120, 300, 600, 1800],
+  registers: [registry]
+})
+
+export const ringReconnects = new client.Gauge({
+  name: 'ring2sip_ring_reconnect_attempts',
+  help: 'Reconnects of the Ring live call during the current call',
+  labelNames: ['camera'],
+  registers: [registry]
+})
+
+// Audio between the legs, by direction: ring_to_sip or sip_to_ring
+const rtpLabels = ['camera', 'direction']
+
+const rtpPackets = new client.Counter({
+  name: 'ring2sip_rtp_packets_total', help: 'Audio RTP packets', labelNames: rtpLabels, registers: [registry]
+})
+const rtpBytes = new client.Counter({
+  name: 'ring2sip_rtp_bytes_total', help: 'Audio RTP payload bytes', labelNames: rtpLabels, registers: [registry]
+})
+const rtpLost = new client.Counter({
+  name: 'ring2sip_rtp_lost_packets_total', help: 'Audio RTP packets missing from the sequence numbers', labelNames: rtpLabels, registers: [registry]
+})
+const rtpDropped = new client.Counter({
+  name: 'ring2sip_rtp_dropped_packets_total', help: 'Audio RTP packets dropped by the sequencer (tones after speech started, late or duplicate packets)', labelNames: rtpLabels, registers: [registry]
+})
+const rtpPayloadTypeMismatches = new client.Counter({
+  name: 'ring2sip_rtp_payload_type_mismatches_total', help: 'Audio RTP packets with another payload type than the stream started with', labelNames: rtpLabels, registers: [registry]
+})
+const rtpJitter = new client.Gauge({
+  name: 'ring2sip_rtp_jitter_seconds', help: 'Interarrival jitter of the audio stream (RFC 3550)', labelNames: rtpLabels, registers: [registry]
+})
+
+/**
+ * Statistics of one audio stream. A new SSRC (e.g. after a reconnect) starts over.
+ */
+export class RtpStats {
+  constructor(camera, direction, clockRate = 48000) {
+    this.labels = { camera, direction }
+    this.clockRate = clockRate
+    this.ssrc = null
+    this.payloadType = null
+    this.lastSeq = null
+    this.transit = null  // arrival time - RTP time of the last packet, in RTP units
+    this.jitter = 0      // RTP units
+  }
+
+  record(rtp) {
+    const { ssrc, sequenceNumber, payloadType, timestamp } = rtp.header
+    const arrival = performance.now() / 1000 * this.clockRate
+
+    if (ssrc !== this.ssrc) {
+      this.ssrc = ssrc
+      this.payloadType = payloadType
+      this.lastSeq = sequenceNumber
+      this.transit = null
+      this.jitter = 0
+    } else {
+      if (payloadType !== this.payloadType) rtpPayloadTypeMismatches.inc(this.labels)
+
+      // Only count gaps going forward, late packets are not lost
+      const gap = (sequenceNumber - this.lastSeq) & 0xffff
+      if (gap > 0 && gap < 0x8000) {
+        if (gap > 1) rtpLost.inc(this.labels, gap - 1)
+        this.lastSeq = sequenceNumber
+      }
+    }
+
+    // RFC 3550 section 6.4.1
+    const transit = arrival - timestamp
+    if (this.transit !== null) {
+      let d = Math.abs(transit - this.transit)
+      // The RTP timestamp wrapped around
+      if (d > 0x80000000) d = Math.abs(d - 0x100000000)
+      this.jitter += (d - this.jitter) / 16
+      rtpJitter.set(this.labels, this.jitter / this.clockRate)
+    }
+    this.transit = transit
+
+    rtpPackets.inc(this.labels)
+    rtpBytes.inc(this.labels, rtp.payload.length)
+  }
+
+  recordDropped() {
+    rtpDropped.inc(this.labels)
+  }
+}
+
+// The remote's RTCP reports about the streams we send, by media: audio or video
+const rtcpLabels = ['camera', 'media']
+
+const rtcpFractionLost = new client.Gauge({
+  name: 'ring2sip_rtcp_fraction_lost', help: 'Fraction of our RTP packets the remote lost, from its last RTCP report', labelNames: rtcpLabels, registers: [registry]
+})
+const rtcpJitter = new client.Gauge({
+  name: 'ring2sip_rtcp_jitter_seconds', help: 'Interarrival jitter of our RTP at the remote, from its last RTCP report', labelNames: rtcpLabels, registers: [registry]
+})
+const rtcpRoundTrip = new client.Gauge({
+  name: 'ring2sip_rtcp_round_trip_seconds', help: 'Round trip time to the remote, from RTCP', labelNames: rtcpLabels, registers: [registry]
+})
+
+export function recordRtcpReport(camera, media, { fractionLost, jitter, roundTrip }) {
+  const labels = { camera, media }
+  rtcpFractionLost.set(labels, fractionLost)
+  rtcpJitter.set(labels, jitter)
+  if (roundTrip !== null) rtcpRoundTrip.set(labels, roundTrip)
+}
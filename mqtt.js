@@ -0,0 +1,207 @@
+import mqttLib from 'mqtt'
+import path from 'path'
+import { EventEmitter } from 'events'
+import { slug } from './util.js'
+
+const {
+  MQTT_URL,
+  MQTT_USER,
+  MQTT_PASS,
+  MQTT_TOPIC,
+  MQTT_DISCOVERY,
+  MQTT_DISCOVERY_PREFIX,
+  MQTT_PROMPT_DIR
+} = process.env
+
+const COMMANDS = ['call', 'hangup', 'prompt']
+
+// Anyone who may publish to the broker picks the file, so only files in here
+const promptDir = path.resolve(MQTT_PROMPT_DIR || 'prompts')
+
+/**
+ * Publishes our events to an MQTT broker (MQTT_URL) and takes commands from it.
+ *
+ * Topics, below MQTT_TOPIC (default "ring2sip"):
+ *   status                  "online"/"offline" (retained, last will)
+ *   registration            "registered"/"unregistered" (retained)
+ *   <camera>/ding           JSON per button press
+ *   <camera>/motion         "ON"/"OFF" (retained)
+ *   <camera>/call           "idle", "calling" or "active" (retained)
+ *   <camera>/call/info      JSON of the current or last call (retained)
+ *   <camera>/command        "call", "hangup", "prompt <file>" or JSON { "command": "prompt", "file": ... }
+ *
+ * Emits 'command' with { cameraConfig, command, file } for every valid command. The file of
+ * a prompt is resolved in MQTT_PROMPT_DIR (default "prompts"), paths outside are rejected.
+ */
+class Mqtt extends EventEmitter {
+  constructor() {
+    super()
+    this.client = null
+    this.baseTopic = MQTT_TOPIC || 'ring2sip'
+    this.discoveryPrefix = MQTT_DISCOVERY !== 'false' ? (MQTT_DISCOVERY_PREFIX || 'homeassistant') : null
+    this.cameras = []  // { camera, cameraConfig, topic }
+  }
+
+  get enabled() {
+    return !!MQTT_URL
+  }
+
+  //--------------------------------------------------------------------------
+  // Public Methods
+  //--------------------------------------------------------------------------
+
+  /**
+   * Connect to the broker. Doesn't wait for the connection, the client keeps reconnecting.
+   */
+  initialize(cameras) {
+    if (!this.enabled || this.client) return
+
+    this.cameras = cameras.map(({ camera, cameraConfig }) => ({
+      camera,
+      cameraConfig,
+      topic: `${this.baseTopic}/${cameraConfig.topic || slug(camera.name)}`
+    }))
+
+    this.client = mqttLib.connect(MQTT_URL, {
+      username: MQTT_USER,
+      password: MQTT_PASS,
+      will: { topic: `${this.baseTopic}/status`, payload: 'offline', retain: true, qos: 1 }
+    })
+
+    this.client.on('connect', () => {
+      console.log(`MQTT - Connected to ${MQTT_URL}`)
+      this._publish(`${this.baseTopic}/status`, 'online', true)
+      this._publishDiscovery()
+      this.client.subscribe(this.cameras.map(({ topic }) => `${topic}/command`), (err) => {
+        if (err) console.error('MQTT - Error subscribing to the command topics:', err.message)
+      })
+    })
+    this.client.on('message', (topic, message) => this._handleMessage(topic, message.toString()))
+    this.client.on('error', err => console.error('MQTT - Error:', err.message))
+    this.client.on('offline', () => console.log('MQTT - Disconnected, reconnecting...'))
+  }
+
+  publishDing(cameraConfig, dingId) {
+    this._publishCamera(cameraConfig, 'ding', JSON.stringify({ dingId, timestamp: new Date().toISOString() }), false)
+  }
+
+  publishMotion(cameraConfig, active) {
+    this._publishCamera(cameraConfig, 'motion', active ? 'ON' : 'OFF', true)
+  }
+
+  /**
+   * state is "calling", "active" or "idle", call the info of the call (see Bridge)
+   */
+  publishCall(cameraConfig, state, call) {
+    this._publishCamera(cameraConfig, 'call', state, true)
+    this._publishCamera(cameraConfig, 'call/info', JSON.stringify(call), true)
+  }
+
+  publishRegistration(registered) {
+    this._publish(`${this.baseTopic}/registration`, registered ? 'registered' : 'unregistered', true)
+  }
+
+  cleanup() {
+    if (!this.client) return
+    // A clean disconnect doesn't trigger the last will
+    this._publish(`${this.baseTopic}/status`, 'offline', true)
+    this.client.end()
+    this.client = null
+  }
+
+  //--------------------------------------------------------------------------
+  // Internal Helpers
+  //--------------------------------------------------------------------------
+
+  _publish(topic, payload, retain) {
+    this.client?.publish(topic, payload, { retain, qos: retain ? 1 : 0 })
+  }
+
+  _publishCamera(cameraConfig, subtopic, payload, retain) {
+    const entry = this.cameras.find(entry => entry.cameraConfig === cameraConfig)
+    if (entry) this._publish(`${entry.topic}/${subtopic}`, payload, retain)
+  }
+
+  _handleMessage(topic, message) {
+    const entry = this.cameras.find(entry => topic === `${entry.topic}/command`)
+    if (!entry) return
+
+    // Plain "prompt welcome.mp3" or JSON
+    let command, file
+    const text = message.trim()
+    if (text.startsWith('{')) {
+      try {
+        ({ command, file } = JSON.parse(text))
+      } catch (err) {
+        console.error(`MQTT - Invalid command on ${topic}: ${text}`)
+        return
+      }
+    } else {
+      [command, file] = text.split(/\s+(.*)/)
+    }
+
+    command = String(command || '').toLowerCase()
+    if (!COMMANDS.includes(command)) {
+      console.error(`MQTT - Unknown command on ${topic}: ${text}`)
+      return
+    }
+    if (file) {
+      file = path.resolve(promptDir, String(file))
+      const relative = path.relative(promptDir, file)
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        console.error(`MQTT - Rejecting prompt outside of ${promptDir} on ${topic}: ${text}`)
+        return
+      }
+    }
+    console.log(`MQTT - Command ${command} for ${entry.camera.name}`)
+    this.emit('command', { cameraConfig: entry.cameraConfig, command, file: file || null })
+  }
+
+  /**
+   * Home Assistant MQTT discovery: one device per camera with ding, motion, call state,
+   * registration and call/hang up buttons
+   */
+  _publishDiscovery() {
+    if (!this.discoveryPrefix) return
+
+    const availability = { availability_topic: `${this.baseTopic}/status` }
+    for (const { camera, topic } of this.cameras) {
+      const id = `ring2sip_${camera.id}`
+      const device = { identifiers: [id], name: camera.name, manufacturer: 'Ring', model: 'ring2sip' }
+
+      const entities = {
+        binary_sensor: {
+          ding: {
+            name: 'Ding', state_topic: `${topic}/ding`, value_template: 'ON', off_delay: 10, icon: 'mdi:doorbell'
+          },
+          motion: {
+            name: 'Motion', state_topic: `${topic}/motion`, device_class: 'motion'
+          },
+          registration: {
+            name: 'SIP registration', state_topic: `${this.baseTopic}/registration`, device_class: 'connectivity',
+            payload_on: 'registered', payload_off: 'unregistered', entity_category: 'diagnostic'
+          }
+        },
+        sensor: {
+          call: {
+            name: 'Call', state_topic: `${topic}/call`, json_attributes_topic: `${topic}/call/info`, icon: 'mdi:phone'
+          }
+        },
+        button: {
+          call: { name: 'Call', command_topic: `${topic}/command`, payload_press: 'call', icon: 'mdi:phone-outgoing' },
+          hangup: { name: 'Hang up', command_topic: `${topic}/command`, payload_press: 'hangup', icon: 'mdi:phone-hangup' }
+        }
+      }
+
+      for (const [component, objects] of Object.entries(entities)) {
+        for (const [objectId, entity] of Object.entries(objects)) {
+          const payload = { ...entity, ...availability, unique_id: `${id}_${objectId}`, device }
+          this._publish(`${this.discoveryPrefix}/${component}/${id}/${objectId}/config`, JSON.stringify(payload), true)
+        }
+      }
+    }
+  }
+}
+
+// Export a singleton instance
+export const mqtt = new Mqtt()
@@ -0,0 +1,106 @@
+import { createSocket } from "dgram";
+import { stunRequest } from './stun.js'
+
+const {
+  LOCAL_IP,
+  LOCAL_SIP_PORT,
+  PUBLIC_IP,
+  PUBLIC_SIP_PORT,
+  STUN_SERVER,
+  NAT_KEEPALIVE,
+  SYMMETRIC_RTP
+} = process.env
+
+/**
+ * Knows the addresses the PBX has to use to reach us. Without NAT that's simply
+ * LOCAL_IP. Behind NAT the public address comes from PUBLIC_IP, a STUN lookup,
+ * or the received/rport the registrar puts into the Via of its responses.
+ */
+class Nat {
+  constructor() {
+    this.publicAddress = PUBLIC_IP || null
+    this.sipAddress = PUBLIC_IP || LOCAL_IP
+    this.sipPort = parseInt(PUBLIC_SIP_PORT || LOCAL_SIP_PORT)
+    this.symmetricRtp = SYMMETRIC_RTP !== 'false'
+  }
+
+  get enabled() {
+    return !!(PUBLIC_IP || STUN_SERVER)
+  }
+
+  // Seconds between keepalives to the registrar, 0 = off
+  get keepaliveInterval() {
+    if (NAT_KEEPALIVE !== undefined) return parseInt(NAT_KEEPALIVE)
+    return this.enabled ? 25 : 0
+  }
+
+  // Address for the SDP c= and o= lines
+  get mediaAddress() {
+    return this.publicAddress || LOCAL_IP
+  }
+
+  contactUri(user) {
+    return `sip:${user}@${this.sipAddress}:${this.sipPort}`
+  }
+
+  /**
+   * Look up our public address with STUN, unless it is configured
+   */
+  async initialize() {
+    if (PUBLIC_IP || !STUN_SERVER) return
+
+    const socket = createSocket('udp4')
+    try {
+      await new Promise(resolve => socket.bind(0, LOCAL_IP, resolve))
+      const { address } = await stunRequest(socket, STUN_SERVER)
+      console.log(`NAT - Public address from STUN: ${address}`)
+      this.publicAddress = address
+      this.sipAddress = address
+    } catch (err) {
+      console.error('NAT - STUN lookup failed, using local address:', err.message)
+    } finally {
+      socket.close()
+    }
+  }
+
+  /**
+   * The public address/port of a bound RTP socket. With STUN every socket gets its own
+   * lookup, with PUBLIC_IP we assume the ports are forwarded 1:1.
+   */
+  async mapRtpSocket(socket) {
+    const { port } = socket.address()
+    if (STUN_SERVER && !PUBLIC_IP) {
+      try {
+        return await stunRequest(socket, STUN_SERVER)
+      } catch (err) {
+        console.error(`NAT - STUN lookup for RTP port ${port} failed:`, err.message)
+      }
+    }
+    return { address: this.mediaAddress, port }
+  }
+
+  /**
+   * Learn our public SIP address from the received/rport of a response's top Via.
+   * Returns true if it changed, i.e. we need to register again with the new Contact
+   * (the SIP stack then also puts the new address into the Via).
+   */
+  learnFromVia(via) {
+    const params = via?.params || {}
+    const received = params.received || this.sipAddress
+    const rport = params.rport ? parseInt(params.rport) : this.sipPort
+
+    if (received === this.sipAddress && rport === this.sipPort) return false
+    // Without NAT settings we stay on LOCAL_IP, a mismatch is only logged
+    if (!this.enabled) {
+      console.log(`NAT - Registrar sees us as ${received}:${rport}. Set PUBLIC_IP or STUN_SERVER if we are behind NAT.`)
+      return false
+    }
+
+    console.log(`NAT - Public SIP address changed to ${received}:${rport}`)
+    this.sipAddress = received
+    this.sipPort = rport
+    return true
+  }
+}
+
+export const nat = new Nat()
@@ -0,0 +1,205 @@
+import fs from 'fs'
+import path from 'path'
+import { createSocket } from 'dgram'
+import { FfmpegProcess, reservePorts } from '@homebridge/camera-utils'
+import { AUDIO_CODECS, rtpmapOf } from './codecs.js'
+import { slug } from './util.js'
+
+const FORMATS = {
+  ogg: ['-acodec', 'libopus', '-b:a', '48k', '-f', 'ogg'],
+  wav: ['-acodec', 'pcm_s16le', '-f', 'wav']
+}
+
+// Retention runs once a day
+const RETENTION_INTERVAL = 24 * 60 * 60 * 1000
+
+/**
+ * Records one bridged call with FFmpeg. The audio from Ring (the visitor) and from the
+ * PBX is copied to FFmpeg as two RTP streams, before anything else touches it, and
+ * written as stereo (Ring left, PBX right) or mixed down to mono. Mode 'visitor' records
+ * only the audio from Ring, e.g. a voicemail.
+ */
+export default class Recorder {
+  /**
+   * recordingConfig: see `recording` in config.json. sipCodec: the codec of the PBX audio
+   * with its payload type, Ring always sends OPUS. Without it only the visitor is recorded.
+   */
+  constructor(recordingConfig, { camera, callId, sipCodec = null }) {
+    this.config = recordingConfig
+    this.camera = camera
+    this.callId = callId
+    this.mode = recordingConfig.mode
+    if (this.mode !== 'visitor' && !sipCodec) {
+      console.error(`RECORDER - The codec of the PBX audio is unknown, recording only the visitor of ${camera}`)
+      this.mode = 'visitor'
+    }
+    this.streams = [{ codec: { ...AUDIO_CODECS.OPUS, payloadType: 96 }, port: null }]
+    if (this.mode !== 'visitor') {
+      this.streams.push({ codec: { ...sipCodec, payloadType: sipCodec.payloadType === 96 ? 97 : sipCodec.payloadType }, port: null })
+    }
+    this.udp = null
+    this.ffmpegProcess = null
+    this.file = null
+    this.stopped = false
+  }
+
+  async start() {
+    // FFmpeg listens on two ports per stream, RTP and RTCP
+    const ports = await reservePorts({ count: 4 })
+    const { dir, format } = this.config
+    const { mode } = this
+    await fs.promises.mkdir(dir, { recursive: true })
+    // stop() was called while we were waiting
+    if (this.stopped) return
+
+    this.streams.forEach((stream, index) => { stream.port = ports[index * 2] })
+    const time = new Date().toISOString().replace(/[:.]/g, '-')
+    const callId = this.callId.replace(/[^\w.-]/g, '_')
+    this.file = path.join(dir, `${slug(this.camera)}_${time}_${callId}.${format}`)
+
+    // Ring left and PBX right, or both on one channel, or Ring alone
+    const filters = {
+      mix: '[0:0]aresample=48000[a];[0:1]aresample=48000[b];[a][b]amix=inputs=2:duration=longest:normalize=0[out]',
+      stereo: '[0:0]aresample=48000,pan=mono|c0=c0[a];[0:1]aresample=48000,pan=mono|c0=c0[b];[a][b]amerge=inputs=2[out]',
+      visitor: '[0:0]aresample=48000,pan=mono|c0=c0[out]'
+    }
+
+    const ffmpegArgs = [
+      '-hide_banner',
+      '-protocol_whitelist', 'pipe,udp,rtp,file,crypto',
+      '-f', 'sdp',
+      '-i', 'pipe:',
+      '-filter_complex', filters[mode],
+      '-map', '[out]',
+      '-ac', mode === 'stereo' ? '2' : '1',
+      '-ar', '48000',
+      ...FORMATS[format],
+      '-y', this.file,
+    ]
+
+    this.udp = createSocket('udp4')
+    console.log(`RECORDER - Recording ${this.camera} to ${this.file}`)
+    this.ffmpegProcess = new FfmpegProcess({
+      ffmpegArgs,
+      exitCallback: () => {
+        console.log(`RECORDER - Recording ${this.file} finished`)
+        this.ffmpegProcess = null
+      }
+    })
+    this.ffmpegProcess.writeStdin(this._buildInputSdp())
+  }
+
+  /**
+   * Audio from Ring, before it is passed on
+   */
+  sendRing(rtp) {
+    this._send(this.streams[0], rtp)
+  }
+
+  /**
+   * Audio from the PBX, before it is passed on
+   */
+  sendSip(rtp) {
+    if (this.streams[1]) this._send(this.streams[1], rtp)
+  }
+
+  stop() {
+    this.stopped = true
+    if (this.ffmpegProcess) {
+      // FFmpeg finishes the file when it's told to quit
+      this.ffmpegProcess.stop()
+      this.ffmpegProcess = null
+    }
+    if (this.udp) {
+      this.udp.close()
+      this.udp = null
+    }
+  }
+
+  //--------------------------------------------------------------------------
+  // Internal Helpers
+  //--------------------------------------------------------------------------
+
+  _send(stream, rtp) {
+    if (!this.ffmpegProcess || !this.udp) return
+
+    // The packet goes on to the other leg, don't change it
+    const copy = rtp.serialize()
+    copy[1] = (copy[1] & 0x80) | stream.codec.payloadType
+    this.udp.send(copy, stream.port, '127.0.0.1')
+  }
+
+  _buildInputSdp() {
+    const lines = [
+      'v=0',
+      'o=- 0 0 IN IP4 127.0.0.1',
+      's=ring2sip recorder',
+      'c=IN IP4 127.0.0.1',
+      't=0 0',
+    ]
+    for (const { codec, port } of this.streams) {
+      lines.push(`m=audio ${port} RTP/AVP ${codec.payloadType}`)
+      lines.push(`a=rtpmap:${codec.payloadType} ${rtpmapOf(codec)}`)
+      if (codec.fmtp) lines.push(`a=fmtp:${codec.payloadType} ${codec.fmtp}`)
+    }
+    return lines.join('\r\n') + '\r\n'
+  }
+}
+
+/**
+ * The recordings of a camera in `dir`, newest first
+ */
+export async function listRecordings(dir, camera) {
+  let files
+  try {
+    files = await fs.promises.readdir(dir)
+  } catch (err) {
+    return []  // nothing recorded yet
+  }
+  // <camera>_<time>_<Call-ID>.<format>, the time sorts
+  const prefix = `${slug(camera)}_`
+  return files
+    .filter(name => name.startsWith(prefix) && /^\d{4}-/.test(name.substring(prefix.length)))
+    .filter(name => Object.keys(FORMATS).includes(path.extname(name).slice(1)))
+    .sort()
+    .reverse()
+    .map(name => path.join(dir, name))
+}
+
+/**
+ * Delete recordings older than `retentionDays` (0 keeps them), now and once a day
+ */
+export function startRetention(recordingConfigs) {
+  const policies = new Map()  // dir => shortest retention of the cameras recording there
+  for (const { dir, retentionDays } of recordingConfigs) {
+    if (retentionDays > 0) policies.set(dir, Math.min(policies.get(dir) ?? Infinity, retentionDays))
+  }
+  if (!policies.size) return
+
+  const cleanup = async () => {
+    for (const [dir, days] of policies) {
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000
+      let files
+      try {
+        files = await fs.promises.readdir(dir)
+      } catch (err) {
+        continue  // nothing recorded yet
+      }
+      for (const name of files) {
+        if (!Object.keys(FORMATS).includes(path.extname(name).slice(1))) continue
+        const file = path.join(dir, name)
+        try {
+          if ((await fs.promises.stat(file)).mtimeMs < cutoff) {
+            await fs.promises.rm(file)
+            console.log(`RECORDER - Deleted ${file} (older than ${days} days)`)
+          }
+        } catch (err) {
+          console.error(`RECORDER - Can't delete ${file}:`, err.message)
+        }
+      }
+    }
+  }
+
+  cleanup()
+  setInterval(cleanup, RETENTION_INTERVAL).unref()
+}
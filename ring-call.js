@@ -0,0 +1,253 @@
+import { EventEmitter } from 'events'
+import RtpSequencer from './rtp-sequencer.js'
+import { RtpStats, ringReconnects } from './metrics.js'
+
+/**
+ * A live call to one Ring camera. Created by Ring.createCall(), one instance per call.
+ */
+export default class RingCall extends EventEmitter {
+  constructor(camera) {
+    super()
+    this.camera = camera
+    this.currentCall = null
+    this.sip = null
+    this.initiatingCall = false
+    this.receivingAudio = false
+    this.rtpSequencer = new RtpSequencer({
+      send: rtp => this._sendAudio(rtp),
+      onDrop: () => this.audioStats.recordDropped()
+    })
+    this.audioStats = new RtpStats(camera.name, 'sip_to_ring')
+    this.reconnectAttempts = 0
+    ringReconnects.set({ camera: camera.name }, 0)
+    this.playingPrompt = false
+    this.callSubscriptions = []
+    this.reconnectTimeout = null
+  }
+
+  // For the status API
+  get state() {
+    return {
+      connected: !!this.currentCall,
+      receivingAudio: this.receivingAudio,
+      playingPrompt: this.playingPrompt
+    }
+  }
+
+  // 1) Initiate a live call
+  initiateCall() {
+    if (this.initiatingCall) return
+    this.initiatingCall = true
+    this.intentionalDisconnect = false
+
+    return new Promise((resolve, reject) => {
+      this._establishCall(resolve, reject)
+    })
+  }
+
+  async _establishCall(resolve = null, reject = null) {
+    try {
+      console.log(`RING - Starting live call on camera: ${this.camera.name}`)
+      const call = await this.camera.startLiveCall()
+      if (this.intentionalDisconnect) {
+        // endCall() ran while we were still connecting
+        console.log('RING - Call was ended while connecting. Stopping it.')
+        call.stop()
+        if (resolve) resolve()
+        return
+      }
+      this.currentCall = call
+
+      // If we have a SIP client waiting, request a keyframe immediately
+      if (this.sip) {
+        console.log('RING - Call (re)started. Requesting Key Frame...')
+        setTimeout(() => { if (this.currentCall) this.currentCall.requestKeyFrame() }, 500)
+      }
+
+      // Listen for call ended
+      this.callSubscriptions.push(call.onCallEnded.subscribe(() => {
+        console.log('RING - Call ended')
+        if (!this.intentionalDisconnect) {
+          console.log('RING - Call dropped unintentionally (Timeout?). Reconnecting in 2s...')
+          this.reconnectAttempts++
+          ringReconnects.set({ camera: this.camera.name }, this.reconnectAttempts)
+          this._releaseCall()
+          this.initiatingCall = false // Allow new call
+
+          this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null
+            // We don't pass resolve/reject here as initial promise is long gone
+            const result = this.initiateCall()
+            if (result && result.catch) {
+              result.catch(e => {
+                console.error('RING - Reconnection failed', e)
+                this.emit('callEnded')
+              })
+            }
+          }, 2000)
+        } else {
+          console.log('RING - Call ended intentionally.')
+          this.emit('callEnded')
+        }
+      }))
+
+      // Listen for call answered
+      this.callSubscriptions.push(call.connection.onCallAnswered.subscribe((sdp) => {
+        console.log('RING - Call answered, SDP received')
+        this.emit('callEstablished')
+      }))
+
+      // The SIP leg transcodes to and from OPUS, so that's what we need from Ring
+      call.isUsingOpus.then((isUsingOpus) => {
+        if (!isUsingOpus) console.error(`RING - ${this.camera.name} is not using OPUS. Audio will not work.`)
+      }).catch(err => console.error(`RING - ${this.camera.name} - Error negotiating the audio codec:`, err))
+
+      // Start playing ringback for demonstration
+      call.activateCameraSpeaker()
+
+      // Listen for audio RTP
+      this.callSubscriptions.push(call.connection.onAudioRtp.subscribe((rtpPacket) => {
+        if (!this.receivingAudio) {
+          this.receivingAudio = true
+          this.emit('receivingAudio')
+        }
+        this.emit('audio', rtpPacket)
+        if (this.sip) {
+          this.sip.sendAudioPacket(rtpPacket, false)
+        }
+      }))
+
+      // Listen for video RTP
+      let videoPacketsReceived = 0
+      this.callSubscriptions.push(call.connection.onVideoRtp.subscribe((rtpPacket) => {
+        videoPacketsReceived++
+        this.emit('video', rtpPacket)
+        if (videoPacketsReceived % 100 === 0) console.log(`RING - Video packets received: ${videoPacketsReceived}`)
+        if (this.sip) {
+          this.sip.sendVideoPacket(rtpPacket)
+        }
+      }))
+
+      // Request Key Frame immediately, after that the SIP leg asks when the phone needs one
+      setTimeout(() => { if (this.currentCall === call) call.requestKeyFrame() }, 1000)
+
+      // We’ve initiated the call
+      if (resolve) resolve()
+
+    } catch (err) {
+      console.error('RING - Error initiating call:', err)
+      if (reject) reject(err)
+      else {
+        // If this was a reconnect attempt that failed, we should probably give up
+        this.emit('callEnded')
+      }
+    }
+  }
+
+  parseAudioPayloadType(sdp) {
+    if (!sdp) return
+    // Simple parse to find the first OPUS payload type or default to dynamic
+    const lines = sdp.split('\r\n')
+    let pt = null
+
+    lines.forEach(line => {
+      if (line.startsWith('a=rtpmap:')) {
+        // a=rtpmap:111 opus/48000/2
+        const match = line.match(/a=rtpmap:(\d+)\s+([\w\-\.]+)/i)
+        if (match && match[2].toUpperCase().includes('OPUS')) {
+          pt = parseInt(match[1])
+        }
+      }
+    })
+
+    if (pt) {
+      console.log(`RING - Detected Audio Payload Type for Ring: ${pt}`)
+      this.audioPayloadType = pt
+    }
+  }
+
+
+
+  sendAudioPacket(rtp, isTone = false) {
+    if (!isTone) this.audioStats.record(rtp)
+    // The SIP audio is held back while a prompt plays
+    if (this.playingPrompt) return
+    this._forwardAudioPacket(rtp, isTone)
+  }
+
+  /**
+   * Prompts (see Tones.playFile()) replace the audio from SIP until endPrompt()
+   */
+  startPrompt() {
+    this.playingPrompt = true
+  }
+
+  endPrompt() {
+    this.playingPrompt = false
+  }
+
+  sendPromptPacket(rtp) {
+    this._forwardAudioPacket(rtp, false)
+  }
+
+  _forwardAudioPacket(rtp, isTone) {
+    // If we haven't configured a destination, do nothing
+    if (!this.currentCall) return
+
+    // RtpSequencer drops or rewrites the packet, and hands it to _sendAudio()
+    this.rtpSequencer.process(rtp, isTone)
+  }
+
+  _sendAudio(rtp) {
+    // The call may have dropped while the packet waited in the jitter buffer
+    if (!this.currentCall) return
+
+    if (this.audioPayloadType) {
+      rtp.header.payloadType = this.audioPayloadType
+    }
+
+    this.currentCall.sendAudioPacket(rtp)
+  }
+
+  // 2) Forward audio to the SIP leg
+  pipeAudio(sip) {
+    this.sip = sip
+    // Request a keyframe immediately if we are already connected
+    if (this.currentCall && this.currentCall.connection) {
+      console.log('RING - SIP attached. Requesting Key Frame for video...')
+      this.currentCall.requestKeyFrame()
+    }
+  }
+
+  // E.g. for the SIP phone, see SipCall._requestKeyFrame()
+  requestKeyFrame() {
+    this.currentCall?.requestKeyFrame()
+  }
+
+  // 3) End the Ring call
+  endCall() {
+    this.intentionalDisconnect = true
+    this.rtpSequencer.stop()
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout)
+      this.reconnectTimeout = null
+    }
+    const call = this.currentCall
+    this._releaseCall()
+    if (call) {
+      console.log('RING - Stopping the live call...')
+      call.stop()
+    }
+    this.initiatingCall = false
+    this.receivingAudio = false
+    this.playingPrompt = false
+    this.sip = null
+  }
+
+  // Drop everything bound to the current live call without stopping it
+  _releaseCall() {
+    this.callSubscriptions.forEach(subscription => subscription.unsubscribe())
+    this.callSubscriptions = []
+    this.currentCall = null
+  }
+}
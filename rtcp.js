@@ -0,0 +1,266 @@
+import { randomBytes } from 'crypto'
+import {
+  RtcpPacketConverter, RtcpSrPacket, RtcpRrPacket, RtcpSenderInfo, RtcpReceiverInfo,
+  RtcpSourceDescriptionPacket, SourceDescriptionChunk, SourceDescriptionItem
+} from 'werift'
+
+// RFC 3550 section 6.2: reports every 5 seconds, randomized by 0.5 to 1.5
+const REPORT_INTERVAL = 5000
+
+const NTP_EPOCH_OFFSET = 2208988800  // 1900 => 1970, in seconds
+const RTCP_BYE = 203
+const SDES_CNAME = 1
+
+// Wall clock as a 64 bit NTP timestamp
+function ntpNow() {
+  const ms = Date.now()
+  const seconds = BigInt(Math.floor(ms / 1000) + NTP_EPOCH_OFFSET)
+  const fraction = BigInt(Math.floor((ms % 1000) / 1000 * 0x100000000))
+  return (seconds << 32n) | fraction
+}
+
+// The middle 32 bits of an NTP timestamp, as used by LSR/DLSR (units of 1/65536 s)
+function compactNtp(ntp) {
+  return Number((ntp >> 16n) & 0xffffffffn)
+}
+
+/**
+ * The RTCP of one media stream (RFC 3550) of a SIP call: counts what we send and receive,
+ * sends sender/receiver reports and reads the remote's reports about our stream.
+ *
+ * `clockRate()` is the RTP clock rate of the stream (it changes with the codec), `send(buffer)`
+ * delivers a compound RTCP packet to the remote, `onReport(report)` gets the remote's view
+ * of our stream: { fractionLost, packetsLost, jitter (s), roundTrip (s) }.
+ */
+export default class RtcpSession {
+  constructor({ kind, clockRate, cname, send, onReport }) {
+    this.kind = kind
+    this.clockRate = clockRate
+    this.cname = cname
+    this.send = send
+    this.onReport = onReport
+    this.timer = null
+
+    // What we send
+    this.ssrc = randomBytes(4).readUInt32BE(0)  // until we send media
+    this.packetCount = 0
+    this.octetCount = 0
+    this.lastRtpTimestamp = 0
+    this.lastSentAt = null      // ms, to extrapolate the RTP timestamp of an SR
+    this.sentSinceReport = false
+
+    // What we receive, see RFC 3550 appendix A.1, A.3 and A.8
+    this.remoteSsrc = null
+    this.baseSeq = 0
+    this.maxSeq = 0
+    this.cycles = 0
+    this.received = 0
+    this.expectedPrior = 0
+    this.receivedPrior = 0
+    this.transit = null
+    this.jitter = 0             // RTP units
+    this.lastSr = 0             // compact NTP of the remote's last SR
+    this.lastSrAt = null        // ms
+
+    this.remoteReport = null    // the last report about our stream
+  }
+
+  start() {
+    if (this.timer) return
+    const schedule = () => {
+      this.timer = setTimeout(() => {
+        this._sendReport()
+        schedule()
+      }, REPORT_INTERVAL * (0.5 + Math.random()))
+    }
+    schedule()
+  }
+
+  /**
+   * Stop reporting, with a BYE (RFC 3550 section 6.6) unless the media is already gone
+   */
+  stop(sendBye = true) {
+    if (!this.timer) return
+    clearTimeout(this.timer)
+    this.timer = null
+    if (sendBye) this._sendReport(true)
+  }
+
+  /**
+   * An RTP packet we sent. A new SSRC (other source, e.g. after a reconnect) starts over.
+   */
+  onSent(rtp) {
+    const { ssrc, timestamp } = rtp.header
+    if (ssrc !== this.ssrc) {
+      this.ssrc = ssrc
+      this.packetCount = 0
+      this.octetCount = 0
+    }
+    this.packetCount = (this.packetCount + 1) >>> 0
+    this.octetCount = (this.octetCount + rtp.payload.length) >>> 0
+    this.lastRtpTimestamp = timestamp
+    this.lastSentAt = Date.now()
+    this.sentSinceReport = true
+  }
+
+  /**
+   * An RTP packet from the remote, only the header is of interest
+   */
+  onReceived(message) {
+    if (message.length < 12) return
+    const seq = message.readUInt16BE(2)
+    const timestamp = message.readUInt32BE(4)
+    const ssrc = message.readUInt32BE(8)
+
+    if (ssrc !== this.remoteSsrc) {
+      this.remoteSsrc = ssrc
+      this.baseSeq = seq
+      this.maxSeq = seq
+      this.cycles = 0
+      this.received = 0
+      this.expectedPrior = 0
+      this.receivedPrior = 0
+      this.transit = null
+      this.jitter = 0
+      this.lastSr = 0
+      this.lastSrAt = null
+    } else {
+      const delta = (seq - this.maxSeq) & 0xffff
+      // In order, maybe with a gap. Late and duplicate packets don't move maxSeq.
+      if (delta > 0 && delta < 0x8000) {
+        if (seq < this.maxSeq) this.cycles += 0x10000
+        this.maxSeq = seq
+      }
+    }
+    this.received++
+
+    // RFC 3550 section 6.4.1
+    const arrival = performance.now() / 1000 * this.clockRate()
+    const transit = arrival - timestamp
+    if (this.transit !== null) {
+      let d = Math.abs(transit - this.transit)
+      // The RTP timestamp wrapped around
+      if (d > 0x80000000) d = Math.abs(d - 0x100000000)
+      this.jitter += (d - this.jitter) / 16
+    }
+    this.transit = transit
+  }
+
+  /**
+   * A compound RTCP packet from the remote
+   */
+  handle(message) {
+    let packets
+    try {
+      packets = RtcpPacketConverter.deSerialize(message)
+    } catch (err) {
+      return
+    }
+
+    for (const packet of packets) {
+      if (packet.type === RtcpSrPacket.type && packet.ssrc === this.remoteSsrc) {
+        this.lastSr = compactNtp(packet.senderInfo.ntpTimestamp)
+        this.lastSrAt = Date.now()
+      }
+      if (packet.type !== RtcpSrPacket.type && packet.type !== RtcpRrPacket.type) continue
+
+      const block = packet.reports.find(report => report.ssrc === this.ssrc)
+      if (block) this._handleReportBlock(block)
+    }
+  }
+
+  //--------------------------------------------------------------------------
+  // Internal Helpers
+  //--------------------------------------------------------------------------
+
+  _handleReportBlock(block) {
+    // Round trip (RFC 3550 section 6.4.1): now - LSR - DLSR, if the remote got an SR of ours
+    let roundTrip = null
+    if (block.lsr) {
+      const units = (compactNtp(ntpNow()) - block.lsr - block.dlsr) >>> 0
+      if (units < 0x80000000) roundTrip = units / 65536
+    }
+
+    this.remoteReport = {
+      fractionLost: block.fractionLost / 256,
+      packetsLost: block.packetsLost,
+      jitter: block.jitter / this.clockRate(),
+      roundTrip,
+      time: new Date().toISOString()
+    }
+    const { fractionLost, packetsLost, jitter } = this.remoteReport
+    console.log(`RTCP - ${this.kind} report from remote: ${(fractionLost * 100).toFixed(1)}% lost (${packetsLost} total), jitter ${(jitter * 1000).toFixed(1)} ms` +
+      (roundTrip !== null ? `, round trip ${(roundTrip * 1000).toFixed(0)} ms` : ''))
+    this.onReport?.(this.remoteReport)
+  }
+
+  /**
+   * The report block about the remote's stream (RFC 3550 appendix A.3)
+   */
+  _buildReportBlock() {
+    const extendedMax = this.cycles + this.maxSeq
+    const expected = extendedMax - this.baseSeq + 1
+    const lost = Math.min(Math.max(expected - this.received, 0), 0x7fffff)
+
+    const expectedInterval = expected - this.expectedPrior
+    const receivedInterval = this.received - this.receivedPrior
+    const lostInterval = expectedInterval - receivedInterval
+    this.expectedPrior = expected
+    this.receivedPrior = this.received
+    const fractionLost = expectedInterval === 0 || lostInterval <= 0 ? 0 : Math.floor((lostInterval << 8) / expectedInterval)
+
+    return new RtcpReceiverInfo({
+      ssrc: this.remoteSsrc,
+      fractionLost,
+      packetsLost: lost,
+      highestSequence: extendedMax >>> 0,
+      jitter: Math.floor(this.jitter) >>> 0,
+      lsr: this.lastSr,
+      dlsr: this.lastSrAt === null ? 0 : Math.floor((Date.now() - this.lastSrAt) / 1000 * 65536) >>> 0
+    })
+  }
+
+  /**
+   * SR if we sent media since the last report, RR otherwise, always with our CNAME
+   */
+  _sendReport(bye = false) {
+    const reports = this.remoteSsrc !== null ? [this._buildReportBlock()] : []
+    const packets = []
+
+    if (this.sentSinceReport) {
+      // The RTP timestamp that corresponds to now
+      const elapsed = Math.round((Date.now() - this.lastSentAt) / 1000 * this.clockRate())
+      packets.push(new RtcpSrPacket({
+        ssrc: this.ssrc,
+        senderInfo: new RtcpSenderInfo({
+          ntpTimestamp: ntpNow(),
+          rtpTimestamp: (this.lastRtpTimestamp + elapsed) >>> 0,
+          packetCount: this.packetCount,
+          octetCount: this.octetCount
+        }),
+        reports
+      }).serialize())
+    } else {
+      packets.push(new RtcpRrPacket({ ssrc: this.ssrc, reports }).serialize())
+    }
+    this.sentSinceReport = false
+
+    packets.push(new RtcpSourceDescriptionPacket({
+      chunks: [new SourceDescriptionChunk({
+        source: this.ssrc,
+        items: [new SourceDescriptionItem({ type: SDES_CNAME, text: this.cname })]
+      })]
+    }).serialize())
+
+    if (bye) {
+      const packet = Buffer.alloc(8)
+      packet[0] = 0x81  // version 2, one SSRC
+      packet[1] = RTCP_BYE
+      packet.writeUInt16BE(1, 2)
+      packet.writeUInt32BE(this.ssrc, 4)
+      packets.push(packet)
+    }
+
+    this.send(Buffer.concat(packets))
+  }
+}
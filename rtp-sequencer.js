@@ -1,61 +1,233 @@
+const { JITTER_BUFFER } = process.env
+
+// Max ms to wait for a missing packet, 0 = no jitter buffer
+const maxJitterDelay = parseInt(JITTER_BUFFER || '0')
+// Wait at least this long for a missing packet (ms)
+const MIN_JITTER_DELAY = 20
+// A jump this far ahead is a new numbering, not a gap
+const MAX_SEQ_JUMP = 1000
+
+const DEFAULT_PTIME = 20
+
+// Is sequence number a ahead of b, with wraparound?
+function isAhead(a, b) {
+  const delta = (a - b) & 0xffff
+  return delta !== 0 && delta < 0x8000
+}
+
+/**
+ * Reorders the packets of one source and drops late and duplicate ones. In-order packets go
+ * out right away, a gap is waited for as long as the jitter of the source suggests (up to
+ * maxDelay ms), then the missing packets count as lost.
+ */
+class JitterBuffer {
+  constructor({ maxDelay, clockRate, emit, drop }) {
+    this.maxDelay = maxDelay
+    this.clockRate = clockRate
+    this.emit = emit
+    this.drop = drop
+    this.ssrc = null
+    this.nextSeq = null
+    this.packets = new Map()  // seq => rtp
+    this.timer = null
+    this.transit = null
+    this.jitter = 0           // ms, RFC 3550 section 6.4.1
+  }
+
+  get delay() {
+    return Math.min(this.maxDelay, Math.max(MIN_JITTER_DELAY, this.jitter * 3))
+  }
+
+  push(rtp) {
+    const { ssrc, sequenceNumber: seq } = rtp.header
+    if (ssrc !== this.ssrc) {
+      this.flush()
+      this.ssrc = ssrc
+      this.transit = null
+      this.jitter = 0
+    }
+    this._updateJitter(rtp)
+
+    // The source started over with other sequence numbers
+    const delta = this.nextSeq === null ? 0 : (seq - this.nextSeq) & 0xffff
+    if (delta > MAX_SEQ_JUMP && delta < 0x10000 - MAX_SEQ_JUMP) this.flush()
+    if (this.nextSeq === null) this.nextSeq = seq
+
+    // Late (we moved on already) or a duplicate
+    if (isAhead(this.nextSeq, seq) || this.packets.has(seq)) {
+      this.drop()
+      return
+    }
+
+    this.packets.set(seq, rtp)
+    this._drain()
+  }
+
+  /**
+   * Send everything we hold, in order
+   */
+  flush() {
+    clearTimeout(this.timer)
+    this.timer = null
+    const seqs = [...this.packets.keys()].sort((a, b) => ((a - this.nextSeq) & 0xffff) - ((b - this.nextSeq) & 0xffff))
+    for (const seq of seqs) this.emit(this.packets.get(seq))
+    this.packets.clear()
+    this.nextSeq = null
+  }
+
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+    this.packets.clear()
+    this.nextSeq = null
+    this.ssrc = null
+  }
+
+  _drain() {
+    while (this.packets.has(this.nextSeq)) {
+      const rtp = this.packets.get(this.nextSeq)
+      this.packets.delete(this.nextSeq)
+      this.nextSeq = (this.nextSeq + 1) & 0xffff
+      this.emit(rtp)
+    }
+
+    if (!this.packets.size) {
+      clearTimeout(this.timer)
+      this.timer = null
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this._skipGap(), this.delay)
+    }
+  }
+
+  // The missing packets are lost, go on with the oldest one we have
+  _skipGap() {
+    this.timer = null
+    let oldest = null
+    for (const seq of this.packets.keys()) {
+      if (oldest === null || isAhead(oldest, seq)) oldest = seq
+    }
+    if (oldest === null) return
+    this.nextSeq = oldest
+    this._drain()
+  }
+
+  _updateJitter(rtp) {
+    const transit = performance.now() - rtp.header.timestamp / this.clockRate * 1000
+    if (this.transit !== null) {
+      let d = Math.abs(transit - this.transit)
+      // The RTP timestamp wrapped around
+      const wrap = 0x100000000 / this.clockRate * 1000
+      if (d > wrap / 2) d = Math.abs(d - wrap)
+      this.jitter += (d - this.jitter) / 16
+    }
+    this.transit = transit
+  }
+}
+
+/**
+ * Normalizes the audio we send on one leg. The packets come from several sources: the
+ * ringback tone, the other leg's speech and prompts, each with its own SSRC, sequence
+ * numbers and timestamps. What goes out is one stream: our own SSRC, sequence numbers
+ * and timestamps that continue across source switches (also past 16/32 bit wraparound),
+ * and the marker bit on the first packet of every new source (a new talkspurt).
+ *
+ * Once speech started, tone packets are dropped. With JITTER_BUFFER (ms) the packets of
+ * a source are reordered and late ones dropped first.
+ *
+ * send(rtp) gets the rewritten packets, onDrop() is called for every dropped packet.
+ */
 export default class RtpSequencer {
-  constructor() {
-    this.ignoreTones = false          // Once speech starts, ignore future tone packets
-    this.highestLocalSeq = -1         // Tracks highest local sequence number so far
-    this.speechOffset = null          // We set this when the first speech packet arrives
+  constructor({ send, onDrop = () => {}, clockRate = 48000, jitterBuffer = maxJitterDelay }) {
+    this.send = send
+    this.onDrop = onDrop
+    this.clockRate = clockRate
+    this.ssrc = Math.floor(Math.random() * 0x100000000)
+    this.ignoreTones = false      // Once speech starts, ignore future tone packets
+    this.speechSsrc = null        // Source of the current speech (the other leg, or a prompt)
+
+    this.sourceSsrc = null        // Source of the packets we send now
+    this.seqOffset = 0
+    this.timestampOffset = 0
+    this.lastSeq = null           // of the last packet we sent
+    this.lastTimestamp = null
+    this.lastSentAt = null        // ms
+    this.packetDuration = clockRate * DEFAULT_PTIME / 1000  // RTP units
+
+    this.jitterBuffer = jitterBuffer > 0 ? new JitterBuffer({
+      maxDelay: jitterBuffer,
+      clockRate,
+      emit: rtp => this._rewrite(rtp),
+      drop: () => this.onDrop()
+    }) : null
   }
 
   /**
-   * Process a single RTP packet and decide:
-   *   - Should we drop it? (return false)
-   *   - If not, update its sequenceNumber, return true to indicate it's ok to forward.
+   * Process a single RTP packet: drop it, or rewrite its header and hand it to send()
    *
-   * @param {RtpPacket} rtp        - RTP packet (with header.sequenceNumber, etc.)
+   * @param {RtpPacket} rtp        - RTP packet of one of the sources
    * @param {boolean}   isTone     - Whether this packet is tone or speech
-   *
-   * @returns {boolean}            - true if the packet should be forwarded, false if dropped
    */
   process(rtp, isTone) {
     // If we've already started speech, ignore new tone packets
     if (isTone && this.ignoreTones) {
-      return false
+      this.onDrop()
+      return
     }
 
-    // If this is the very first speech packet, switch to ignoring tones
-    // and compute the offset so speech won't go backward relative to tones
-    if (!isTone && !this.ignoreTones) {
-      this.ignoreTones = true
-      if (this.highestLocalSeq >= 0) {
+    // The first speech packet, from now on tones are dropped.
+    // The speech source also changes, e.g. a prompt interrupts the other leg.
+    if (!isTone && (!this.ignoreTones || rtp.header.ssrc !== this.speechSsrc)) {
+      if (!this.ignoreTones && this.lastSeq !== null) {
         console.log('RTP SEQUENCER: starting speech');
       }
-      const originalSeq = rtp.header.sequenceNumber & 0xffff
-      // The first speech packet's local seq = highestLocalSeq + 1
-      this.speechOffset = ((this.highestLocalSeq + 1) - originalSeq) & 0xffff
+      this.ignoreTones = true
+      this.speechSsrc = rtp.header.ssrc
     }
 
-    // Map the sequence number
-    const originalSeq = rtp.header.sequenceNumber & 0xffff
-    let localSeq
-
-    if (isTone) {
-      // Tones use their native sequence
-      localSeq = originalSeq
+    if (this.jitterBuffer) {
+      this.jitterBuffer.push(rtp)
     } else {
-      // For speech, apply offset if set, else 0
-      const offset = this.speechOffset ?? 0
-      localSeq = (originalSeq + offset) & 0xffff
+      this._rewrite(rtp)
     }
+  }
+
+  stop() {
+    this.jitterBuffer?.stop()
+  }
 
-    // Update highestLocalSeq if this is ahead
-    if (localSeq > this.highestLocalSeq) {
-      this.highestLocalSeq = localSeq
+  _rewrite(rtp) {
+    const { header } = rtp
+
+    if (header.ssrc !== this.sourceSsrc) {
+      // A new source continues right after the last packet we sent, its timestamp advances
+      // with the time in between, at least one packet
+      this.sourceSsrc = header.ssrc
+      const seq = this.lastSeq === null ? header.sequenceNumber : (this.lastSeq + 1) & 0xffff
+      let timestamp = header.timestamp
+      if (this.lastTimestamp !== null) {
+        const elapsed = Math.round((Date.now() - this.lastSentAt) / 1000 * this.clockRate)
+        timestamp = (this.lastTimestamp + Math.max(elapsed, this.packetDuration)) >>> 0
+      }
+      this.seqOffset = (seq - header.sequenceNumber) & 0xffff
+      this.timestampOffset = (timestamp - header.timestamp) >>> 0
+      header.marker = true
     }
 
-    // Assign the mapped sequence
-    rtp.header.sequenceNumber = localSeq
+    header.ssrc = this.ssrc
+    header.sequenceNumber = (header.sequenceNumber + this.seqOffset) & 0xffff
+    header.timestamp = (header.timestamp + this.timestampOffset) >>> 0
+
+    // A late packet (without jitter buffer) doesn't move the stream back
+    if (this.lastSeq === null || isAhead(header.sequenceNumber, this.lastSeq)) {
+      if (this.lastSeq !== null && header.sequenceNumber === ((this.lastSeq + 1) & 0xffff)) {
+        const duration = (header.timestamp - this.lastTimestamp) >>> 0
+        if (duration > 0 && duration < this.clockRate) this.packetDuration = duration
+      }
+      this.lastSeq = header.sequenceNumber
+      this.lastTimestamp = header.timestamp
+      this.lastSentAt = Date.now()
+    }
 
-    // Return true => caller should forward the packet
-    return true
+    this.send(rtp)
   }
 }
-
@@ -0,0 +1,51 @@
+import 'dotenv/config'
+import { parseArgs } from 'util'
+import { cameraConfigs } from './config.js'
+import { activeRoute } from './schedule.js'
+
+/**
+ * Which schedule rule applies, without starting the bridge:
+ *
+ *   node schedule-query.js [--at "2026-12-24T10:00"] [--camera "Front Door"] [--json]
+ *
+ * --at is a local time or an ISO timestamp, default now. Cameras are the entries of
+ * config.json (or CAMERA_NAME), by name or id.
+ */
+const { values: options } = parseArgs({
+  options: {
+    at: { type: 'string' },
+    camera: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+})
+
+if (options.help) {
+  console.log('Usage: node schedule-query.js [--at TIME] [--camera NAME] [--json]')
+  process.exit(0)
+}
+
+const at = options.at ? new Date(options.at) : new Date()
+if (isNaN(at)) {
+  console.error(`Invalid time ${options.at}`)
+  process.exit(1)
+}
+
+const cameras = cameraConfigs.filter(config => !options.camera || config.name === options.camera || config.id === options.camera)
+if (!cameras.length) {
+  console.error(options.camera ? `Unknown camera ${options.camera}` : 'No cameras configured')
+  process.exit(1)
+}
+
+for (const cameraConfig of cameras) {
+  const camera = cameraConfig.name || cameraConfig.id
+  const route = activeRoute(cameraConfig, at)
+  if (options.json) {
+    console.log(JSON.stringify({ camera, at: at.toISOString(), ...route }))
+    continue
+  }
+  const what = route.action === 'closed' ? `closed, plays ${route.prompt || 'a beep'}` : route.hunt ? 'runs the hunt list' : `calls ${route.dest}`
+  // In the time zone the rules are written in
+  const time = at.toLocaleString(undefined, { timeZone: cameraConfig.schedule?.timezone || undefined })
+  console.log(`${time}  ${camera}  ${route.rule || 'no schedule'}  ${what}`)
+}
@@ -0,0 +1,85 @@
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+/**
+ * Date, weekday and minutes since midnight of `date` in the time zone of the schedule
+ */
+function localTime(date, timeZone) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  })
+  const parts = Object.fromEntries(format.formatToParts(date).map(part => [part.type, part.value]))
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  }
+}
+
+// The day before, for windows that run past midnight
+function previousDay(local) {
+  const date = new Date(`${local.date}T12:00:00Z`)
+  date.setUTCDate(date.getUTCDate() - 1)
+  return { date: date.toISOString().substring(0, 10), day: DAYS[date.getUTCDay()] }
+}
+
+// Holidays are 'YYYY-MM-DD' or 'MM-DD' (every year)
+function isHoliday(schedule, date) {
+  return schedule.holidays.includes(date) || schedule.holidays.includes(date.substring(5))
+}
+
+// On a holiday only rules with 'holiday' in their days apply, the weekday doesn't count
+function matchesDay(schedule, rule, { date, day }) {
+  if (!rule.days) return true
+  return rule.days.includes(isHoliday(schedule, date) ? 'holiday' : day)
+}
+
+function matchesRule(schedule, rule, local) {
+  const { from, to } = rule
+  if (from < to) {
+    return matchesDay(schedule, rule, local) && local.minutes >= from && local.minutes < to
+  }
+  // The window runs past midnight, e.g. 18:00 - 08:00, and belongs to the day it starts on
+  return (matchesDay(schedule, rule, local) && local.minutes >= from) ||
+    (matchesDay(schedule, rule, previousDay(local)) && local.minutes < to)
+}
+
+/**
+ * 'HH:MM' => minutes since midnight, null if it isn't a time
+ */
+export function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value))
+  if (!match) return null
+  const minutes = parseInt(match[1]) * 60 + parseInt(match[2])
+  return minutes <= 24 * 60 && parseInt(match[2]) < 60 ? minutes : null
+}
+
+/**
+ * Where a ding of the camera goes at `date` (see `schedule` in config.json). The first rule
+ * that matches wins, without a match the schedule's default applies. Returns
+ * { rule, action, dest, hunt, prompt }: 'call' calls dest, or runs the camera's hunt list
+ * (hunt is true) if the rule has no dest of its own. 'closed' skips the call and plays the
+ * prompt (null for a beep) to the visitor.
+ */
+export function activeRoute(cameraConfig, date = new Date()) {
+  const { schedule } = cameraConfig
+  const route = { rule: null, action: 'call', dest: cameraConfig.dest, hunt: !!cameraConfig.hunt, prompt: null }
+  if (!schedule) return route
+
+  const local = localTime(date, schedule.timezone)
+  const rule = schedule.rules.find(rule => matchesRule(schedule, rule, local))
+  const { action, dest, prompt } = rule || schedule.default
+  return {
+    rule: rule ? rule.name : 'default',
+    action,
+    dest: action === 'call' ? dest || cameraConfig.dest : null,
+    hunt: action === 'call' && !dest && !!cameraConfig.hunt,
+    prompt: action === 'closed' ? prompt : null
+  }
+}
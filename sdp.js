@@ -0,0 +1,236 @@
+/**
+ * Minimal SDP (RFC 4566) model: parse a session description into plain objects,
+ * serialize it back, plus the helpers we need for offer/answer (RFC 3264).
+ *
+ * A session looks like
+ *   { origin, name, connection, timing, attributes, bandwidths, media: [...] }
+ * and every media (m= line) like
+ *   { type, port, protocol, formats, connection, attributes, bandwidths }
+ * Attributes are kept as [{ name, value }] in their original order, value is null for flags.
+ */
+
+export function parseSdp(text) {
+  const session = {
+    version: 0,
+    origin: null,
+    name: '-',
+    connection: null,
+    timing: '0 0',
+    attributes: [],
+    bandwidths: [],
+    media: []
+  }
+  let current = session
+
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.trim()
+    if (line.length < 2 || line[1] !== '=') continue
+    const type = line[0]
+    const value = line.substring(2)
+
+    switch (type) {
+      case 'v':
+        session.version = parseInt(value, 10)
+        break
+      case 'o': {
+        const [username, sessionId, sessionVersion, netType, addrType, address] = value.split(/\s+/)
+        session.origin = { username, sessionId, sessionVersion: parseInt(sessionVersion, 10), netType, addrType, address }
+        break
+      }
+      case 's':
+        session.name = value
+        break
+      case 't':
+        session.timing = value
+        break
+      case 'c': {
+        const [netType, addrType, address] = value.split(/\s+/)
+        // Multicast TTL/count suffixes are of no interest to us
+        current.connection = { netType, addrType, address: address.split('/')[0] }
+        break
+      }
+      case 'b':
+        current.bandwidths.push(value)
+        break
+      case 'a': {
+        const colon = value.indexOf(':')
+        current.attributes.push(colon === -1
+          ? { name: value, value: null }
+          : { name: value.substring(0, colon), value: value.substring(colon + 1) })
+        break
+      }
+      case 'm': {
+        const [mediaType, port, protocol, ...formats] = value.split(/\s+/)
+        current = {
+          type: mediaType,
+          port: parseInt(port, 10),
+          protocol,
+          formats,
+          connection: null,
+          attributes: [],
+          bandwidths: []
+        }
+        session.media.push(current)
+        break
+      }
+    }
+  }
+
+  return session
+}
+
+export function serializeSdp(session) {
+  const lines = []
+  const { origin } = session
+  lines.push(`v=${session.version || 0}`)
+  lines.push(`o=${origin.username} ${origin.sessionId} ${origin.sessionVersion} ${origin.netType} ${origin.addrType} ${origin.address}`)
+  lines.push(`s=${session.name || '-'}`)
+  if (session.connection) lines.push(serializeConnection(session.connection))
+  session.bandwidths.forEach(b => lines.push(`b=${b}`))
+  lines.push(`t=${session.timing || '0 0'}`)
+  session.attributes.forEach(a => lines.push(serializeAttribute(a)))
+
+  for (const media of session.media) {
+    lines.push(`m=${media.type} ${media.port} ${media.protocol} ${media.formats.join(' ')}`)
+    if (media.connection) lines.push(serializeConnection(media.connection))
+    media.bandwidths.forEach(b => lines.push(`b=${b}`))
+    media.attributes.forEach(a => lines.push(serializeAttribute(a)))
+  }
+
+  return lines.join('\r\n') + '\r\n'
+}
+
+function serializeConnection({ netType = 'IN', addrType = 'IP4', address }) {
+  return `c=${netType} ${addrType} ${address}`
+}
+
+function serializeAttribute({ name, value }) {
+  return value === null || value === undefined ? `a=${name}` : `a=${name}:${value}`
+}
+
+/**
+ * A new, empty session for our own offers and answers
+ */
+export function createSession({ sessionId, sessionVersion, address }) {
+  return {
+    version: 0,
+    origin: { username: '-', sessionId: String(sessionId), sessionVersion, netType: 'IN', addrType: 'IP4', address },
+    name: '-',
+    connection: { netType: 'IN', addrType: 'IP4', address },
+    timing: '0 0',
+    attributes: [],
+    bandwidths: [],
+    media: []
+  }
+}
+
+/**
+ * A new m= section, attributes are added with addAttribute()
+ */
+export function createMedia(type, port, formats) {
+  return {
+    type,
+    port,
+    protocol: 'RTP/AVP',
+    formats: formats.map(String),
+    connection: null,
+    attributes: [],
+    bandwidths: []
+  }
+}
+
+export function addAttribute(target, name, value = null) {
+  target.attributes.push({ name, value: value === null ? null : String(value) })
+}
+
+export function getAttribute(target, name) {
+  const attribute = target.attributes.find(a => a.name === name)
+  return attribute ? attribute.value : undefined
+}
+
+export function hasAttribute(target, name) {
+  return target.attributes.some(a => a.name === name)
+}
+
+export function getAttributes(target, name) {
+  return target.attributes.filter(a => a.name === name).map(a => a.value)
+}
+
+/**
+ * The rtpmap of a payload type as { encodingName, clockRate, channels }, or null
+ */
+export function getRtpmap(media, payloadType) {
+  for (const value of getAttributes(media, 'rtpmap')) {
+    const match = value.match(/^(\d+)\s+([^/\s]+)\/(\d+)(?:\/(\d+))?/)
+    if (match && match[1] === String(payloadType)) {
+      return {
+        encodingName: match[2],
+        clockRate: parseInt(match[3], 10),
+        channels: match[4] ? parseInt(match[4], 10) : 1
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * The fmtp parameters of a payload type as an object, e.g. { 'packetization-mode': '1' }
+ */
+export function getFmtp(media, payloadType) {
+  for (const value of getAttributes(media, 'fmtp')) {
+    const space = value.indexOf(' ')
+    if (space !== -1 && value.substring(0, space) === String(payloadType)) {
+      return parseFmtp(value.substring(space + 1))
+    }
+  }
+  return {}
+}
+
+export function parseFmtp(params) {
+  const result = {}
+  params.split(';').map(p => p.trim()).filter(Boolean).forEach((param) => {
+    const equals = param.indexOf('=')
+    if (equals === -1) {
+      // e.g. telephone-event "0-16"
+      result[param] = null
+    } else {
+      result[param.substring(0, equals).trim()] = param.substring(equals + 1).trim()
+    }
+  })
+  return result
+}
+
+export function serializeFmtp(params) {
+  return Object.entries(params)
+    .map(([key, value]) => value === null ? key : `${key}=${value}`)
+    .join(';')
+}
+
+const DIRECTIONS = ['sendrecv', 'sendonly', 'recvonly', 'inactive']
+
+/**
+ * Direction of a media stream, media level overrides session level (default sendrecv)
+ */
+export function getDirection(session, media) {
+  const find = target => target.attributes.find(a => DIRECTIONS.includes(a.name))?.name
+  return find(media) || find(session) || 'sendrecv'
+}
+
+/**
+ * The direction we answer with, given the offered direction
+ */
+export function answerDirection(offeredDirection) {
+  switch (offeredDirection) {
+    case 'sendonly': return 'recvonly'
+    case 'recvonly': return 'sendonly'
+    case 'inactive': return 'inactive'
+    default: return 'sendrecv'
+  }
+}
+
+/**
+ * Where to send the media of an m= section: media level c= overrides the session level
+ */
+export function getConnectionAddress(session, media) {
+  return (media.connection || session.connection)?.address || null
+}
@@ -0,0 +1,197 @@
+import sipLib from 'sip'
+import digest from 'sip/digest.js'
+import { BlockList, isIP } from 'net'
+import { lookup } from 'dns/promises'
+import { cameraConfigs } from './config.js'
+import { unquote } from './util.js'
+
+const {
+  SIP_DOMAIN,
+  SIP_USER,
+  SIP_PASS,
+  SIP_ALLOW,
+  SIP_INBOUND_AUTH,
+  SIP_INBOUND_USER,
+  SIP_INBOUND_PASS,
+  SIP_INBOUND_REALM,
+  SIP_RATE_LIMIT
+} = process.env
+
+// How long the PBX has to answer our 401 challenge
+const NONCE_LIFETIME = 30 * 1000
+
+/**
+ * Decides which inbound SIP requests we handle. Everything is checked in this order:
+ * - the source address must be on the allowlist (SIP_ALLOW, default: the registrar) => 403
+ * - rate limit per source address (SIP_RATE_LIMIT requests per minute) => 429
+ * - requests outside a dialog must target one of our users => 403
+ * - with SIP_INBOUND_AUTH new INVITEs must pass a digest challenge => 401
+ */
+class Security {
+  constructor() {
+    this.allowList = new BlockList()
+    this.allowed = []            // for the log only
+    this.rateLimit = SIP_RATE_LIMIT !== undefined ? parseInt(SIP_RATE_LIMIT) : 120
+    this.buckets = new Map()     // source address => { tokens, updated, limited }
+    this.inboundAuth = SIP_INBOUND_AUTH === 'true'
+    this.credentials = { user: SIP_INBOUND_USER || SIP_USER, password: SIP_INBOUND_PASS || SIP_PASS }
+    this.realm = SIP_INBOUND_REALM || 'ring2sip'
+    this.challenges = new Map()  // nonce => { ctx, expires }
+  }
+
+  /**
+   * Build the allowlist. Entries are IPs, CIDRs or host names, which are resolved once at startup.
+   * Without SIP_ALLOW: the registrar and the outbound proxy (URI), if we use one.
+   */
+  async initialize(outboundProxy = null) {
+    const defaults = [SIP_DOMAIN, outboundProxy && sipLib.parseUri(outboundProxy)?.host].filter(Boolean).join(',')
+    const entries = (SIP_ALLOW || defaults).split(',').map(entry => entry.trim()).filter(Boolean)
+
+    for (const entry of entries) {
+      const [address, prefix] = entry.split('/')
+      try {
+        if (prefix !== undefined) {
+          this.allowList.addSubnet(address, parseInt(prefix), isIP(address) === 6 ? 'ipv6' : 'ipv4')
+          this.allowed.push(entry)
+          continue
+        }
+        const resolved = isIP(address) ? [{ address, family: isIP(address) }] : await lookup(address, { all: true })
+        for (const { address: ip, family } of resolved) {
+          this.allowList.addAddress(ip, family === 6 ? 'ipv6' : 'ipv4')
+          this.allowed.push(ip)
+        }
+      } catch (err) {
+        console.error(`SECURITY - Ignoring allowlist entry ${entry}:`, err.message)
+      }
+    }
+
+    if (!this.allowed.length) {
+      console.error('SECURITY - The allowlist is empty, all inbound SIP requests will be rejected. Check SIP_ALLOW.')
+    } else {
+      console.log(`SECURITY - Accepting SIP requests from ${this.allowed.join(', ')}`)
+    }
+    if (this.inboundAuth) {
+      console.log(`SECURITY - Inbound INVITEs need digest authentication as ${this.credentials.user}`)
+    }
+  }
+
+  /**
+   * Returns true if we should handle the request. Otherwise it was already answered
+   * (403/401/429) and logged. ACKs can't be answered and are just dropped.
+   */
+  accept(request, remote, inDialog) {
+    const address = remote?.address
+
+    if (!address || !this._isAllowed(address)) {
+      return this._reject(request, remote, 403, 'Forbidden', 'source not allowed')
+    }
+
+    if (!this._takeToken(address)) {
+      return this._reject(request, remote, 429, 'Too Many Requests', 'rate limit exceeded', true)
+    }
+
+    if (!inDialog && !this._isOurUri(request)) {
+      return this._reject(request, remote, 403, 'Forbidden', `not for us (${request.uri})`)
+    }
+
+    if (this.inboundAuth && !inDialog && request.method === 'INVITE') {
+      return this._authenticate(request, remote)
+    }
+
+    return true
+  }
+
+  //--------------------------------------------------------------------------
+  // Internal Helpers
+  //--------------------------------------------------------------------------
+
+  _isAllowed(address) {
+    const family = isIP(address) === 6 ? 'ipv6' : 'ipv4'
+    return this.allowList.check(address, family)
+  }
+
+  /**
+   * Token bucket per source address, refilled with rateLimit tokens per minute
+   */
+  _takeToken(address) {
+    if (!this.rateLimit) return true
+
+    const now = Date.now()
+    let bucket = this.buckets.get(address)
+    if (!bucket) {
+      bucket = { tokens: this.rateLimit, updated: now, limited: false }
+      this.buckets.set(address, bucket)
+    }
+
+    bucket.tokens = Math.min(this.rateLimit, bucket.tokens + (now - bucket.updated) * this.rateLimit / 60000)
+    bucket.updated = now
+    if (bucket.tokens < 1) return false
+
+    bucket.tokens -= 1
+    bucket.limited = false
+    return true
+  }
+
+  /**
+   * The Request-URI user must be SIP_USER, a camera's inboundUser or its voicemail box.
+   * OPTIONS pings may also go to our bare address.
+   */
+  _isOurUri(request) {
+    const user = sipLib.parseUri(request.uri)?.user
+    if (!user) return request.method === 'OPTIONS'
+    return user === SIP_USER || cameraConfigs.some(config => config.inboundUser === user || config.voicemail?.inboundUser === user)
+  }
+
+  _authenticate(request, remote) {
+    this._expireChallenges()
+
+    const authorization = (request.headers.authorization || [])
+      .find(header => unquote(header.realm) === this.realm)
+    const challenge = authorization && this.challenges.get(unquote(authorization.nonce))
+
+    if (!challenge) {
+      // No credentials yet, or for a nonce we don't know (anymore)
+      this._sendChallenge(request, !!authorization)
+      return false
+    }
+
+    this.challenges.delete(unquote(authorization.nonce))
+    if (unquote(authorization.username) === this.credentials.user &&
+      digest.authenticateRequest(challenge.ctx, request, this.credentials)) {
+      return true
+    }
+    return this._reject(request, remote, 403, 'Forbidden', `wrong credentials for ${unquote(authorization.username)}`)
+  }
+
+  _sendChallenge(request, stale) {
+    const ctx = { realm: this.realm, qop: 'auth' }
+    const response = digest.challenge(ctx, sipLib.makeResponse(request, 401, 'Unauthorized'))
+    if (stale) response.headers['www-authenticate'][0].stale = 'true'
+
+    this.challenges.set(ctx.nonce, { ctx, expires: Date.now() + NONCE_LIFETIME })
+    sipLib.send(response)
+  }
+
+  _expireChallenges() {
+    const now = Date.now()
+    for (const [nonce, { expires }] of this.challenges) {
+      if (expires < now) this.challenges.delete(nonce)
+    }
+  }
+
+  _reject(request, remote, status, reason, why, quiet = false) {
+    if (request.method !== 'ACK') {
+      sipLib.send(sipLib.makeResponse(request, status, reason))
+    }
+
+    // A flood would flood the log as well, only log the first request over the limit
+    const bucket = quiet && this.buckets.get(remote.address)
+    if (!bucket || !bucket.limited) {
+      console.log(`SECURITY - Rejected ${request.method} from ${remote?.address}:${remote?.port} with ${status}: ${why}`)
+      if (bucket) bucket.limited = true
+    }
+    return false
+  }
+}
+
+export const security = new Security()
@@ -0,0 +1,95 @@
+const {
+  SESSION_EXPIRES,
+  SESSION_MIN_SE,
+  SESSION_KEEPALIVE
+} = process.env
+
+// RFC 4028: the interval we ask for and the smallest one we accept (seconds)
+export const sessionExpires = SESSION_EXPIRES !== undefined ? parseInt(SESSION_EXPIRES) : 1800
+export const minSessionExpires = Math.max(90, parseInt(SESSION_MIN_SE || '90'))
+// Refresh our INVITEs even if the PBX doesn't do session timers, to notice dead calls
+export const sessionKeepalive = SESSION_KEEPALIVE === 'true'
+
+/**
+ * The Session-Expires header (compact form "x") as { interval, refresher }, or null
+ */
+export function parseSessionExpires(headers) {
+  const value = headers['session-expires'] || headers.x
+  if (!value) return null
+
+  const [delta, ...params] = String(value).split(';').map(part => part.trim())
+  const interval = parseInt(delta, 10)
+  if (!(interval > 0)) return null
+
+  const refresher = params
+    .map(param => param.split('='))
+    .find(([name]) => name.toLowerCase() === 'refresher')?.[1]?.toLowerCase()
+  return { interval, refresher: ['uac', 'uas'].includes(refresher) ? refresher : null }
+}
+
+export function parseMinSe(headers) {
+  const minSe = parseInt(headers['min-se'], 10)
+  return minSe > 0 ? minSe : null
+}
+
+/**
+ * True if the option tag (e.g. "timer") is in the Supported (compact "k") or Require header
+ */
+export function hasOptionTag(headers, tag) {
+  return [headers.supported, headers.require]
+    .filter(Boolean)
+    .some(value => String(value).split(',').map(t => t.trim().toLowerCase()).includes(tag))
+}
+
+/**
+ * The methods of an Allow header, upper case
+ */
+export function parseAllow(headers) {
+  return (headers.allow ? String(headers.allow) : '').split(',').map(m => m.trim().toUpperCase()).filter(Boolean)
+}
+
+/**
+ * RFC 4028 session timer of one call. The refresher sends a refresh every half interval,
+ * the other side expects one and gives up shortly before the session expires.
+ */
+export default class SessionTimer {
+  constructor({ onRefresh, onExpired }) {
+    this.onRefresh = onRefresh
+    this.onExpired = onExpired
+    this.interval = null
+    this.refresher = false   // true if we send the refreshes
+    this.refreshTimeout = null
+    this.expireTimeout = null
+  }
+
+  /**
+   * (Re)start after every successful session refresh
+   */
+  start(interval, refresher) {
+    this.stop()
+    this.interval = interval
+    this.refresher = refresher
+
+    if (refresher) {
+      this.refreshTimeout = setTimeout(() => this.onRefresh(), interval * 1000 / 2)
+    }
+    // The BYE goes out a bit before the session expires, at most 32 seconds (RFC 4028 section 10)
+    const expireAfter = interval - Math.min(32, interval / 3)
+    this.expireTimeout = setTimeout(() => this.onExpired(), expireAfter * 1000)
+  }
+
+  /**
+   * Try the refresh again later, e.g. after a 491 Request Pending
+   */
+  retryRefresh(delay) {
+    clearTimeout(this.refreshTimeout)
+    this.refreshTimeout = setTimeout(() => this.onRefresh(), delay)
+  }
+
+  stop() {
+    clearTimeout(this.refreshTimeout)
+    clearTimeout(this.expireTimeout)
+    this.refreshTimeout = null
+    this.expireTimeout = null
+  }
+}
@@ -0,0 +1,1252 @@
+import sipLib from 'sip'
+import { RtpPacket, isRtcp } from 'werift'
+import { EventEmitter } from 'events'
+import { createSocket } from "dgram";
+import RtpSequencer from './rtp-sequencer.js'
+import { RtpStats, recordRtcpReport } from './metrics.js'
+import RtcpSession from './rtcp.js'
+import Transcoder from './transcoder.js'
+import { AUDIO_CODECS, TELEPHONE_EVENTS, audioCodecPreference, findAudioCodec, findStaticAudioCodec, rtpmapOf } from './codecs.js'
+import {
+  parseSdp, serializeSdp, createSession, createMedia, addAttribute, getAttribute,
+  hasAttribute, getRtpmap, getFmtp, serializeFmtp, getDirection, answerDirection, getConnectionAddress
+} from './sdp.js'
+import Dialog from './dialog.js'
+import SessionTimer, {
+  sessionExpires, minSessionExpires, sessionKeepalive, parseSessionExpires, parseMinSe, hasOptionTag, parseAllow
+} from './session-timer.js'
+import { nat } from './nat.js'
+import { isStunMessage } from './stun.js'
+import { RtpDtmfDetector, parseDtmfInfo } from './dtmf.js'
+import { RING_H264_FMTP, isRingProfile, pickH264, isKeyFrameRequest, isPictureFastUpdate, VideoStream } from './video.js'
+import { rstring } from './util.js'
+
+const {
+  SIP_DOMAIN,
+  SIP_USER,
+  LOCAL_IP,
+  SESSION_REFRESH_METHOD
+} = process.env
+
+const ALLOW = 'INVITE, ACK, CANCEL, BYE, OPTIONS, INFO, UPDATE'
+
+const DEFAULT_PTIME = 20
+const H264_PAYLOAD_TYPE = 99
+
+// Phones ask for key frames all the time, Ring gets at most one request per second
+const KEY_FRAME_REQUEST_INTERVAL = 1000
+
+// We packetize 10 to 60 ms, anything else falls back to the default
+function parsePtime(value) {
+  const ptime = parseInt(value, 10)
+  return ptime >= 10 && ptime <= 60 ? ptime : DEFAULT_PTIME
+}
+
+function bindSocket(socket, port) {
+  return new Promise((resolve, reject) => {
+    socket.once('error', reject)
+    socket.bind(port, LOCAL_IP, () => {
+      socket.removeListener('error', reject)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Who is on the other end, for logs: P-Asserted-Identity if the PBX sends one, else the From/To
+ */
+function describeParty(message, header) {
+  const asserted = message.headers['p-asserted-identity']
+  if (asserted) return String(asserted)
+  const { name, uri } = message.headers[header]
+  return `${name ? `${name} ` : ''}<${sipLib.stringifyUri(uri)}>`
+}
+
+function logRtpInfo({ audio, video }) {
+  if (audio) console.log(`SIP - Remote Audio: ${audio.destination}:${audio.port} ${audio.codec} PT=${audio.payloadType} ${audio.direction}${audio.dtmf ? ` DTMF PT=${audio.dtmf.payloadType}` : ''}`)
+  if (video) console.log(`SIP - Remote Video: ${video.destination}:${video.port} H264 ${video.fmtp['profile-level-id'] || '-'} PT=${video.payloadType} ${video.direction}`)
+  // We pass Ring's video through, we can't change its profile
+  if (video && !isRingProfile(video.fmtp)) console.log('SIP - The remote asked for another H264 profile than Ring sends, the video may not play')
+}
+
+/**
+ * A single SIP dialog with its own RTP sockets. Created by Sip.createCall(),
+ * one instance per call and thrown away after endCall().
+ */
+export default class SipCall extends EventEmitter {
+  constructor(sip, { callId, rtpPort, cameraConfig }) {
+    super()
+    this.sip = sip
+    this.callId = callId
+    this.cameraConfig = cameraConfig
+    this.rtpPort = rtpPort
+    this.videoPort = rtpPort + 2
+    this.dialog = null
+    this.dest = null           // whom we call (outbound)
+    this.inviteRequest = null
+    this.cancelledInvite = null // our INVITE we sent a CANCEL for, a 200 OK may still cross it
+    this.pendingInvite = null  // inbound INVITE we answered with early media, see acceptInvite()
+    this.initiatingCall = false
+    this.serverRtpInfo = null
+    this.sdpSessionId = Date.now()
+    this.sdpVersion = 0
+    this.localSdp = null       // our last session description, see _serializeLocalSdp()
+    this.remoteOrigin = null   // o= line of the last remote SDP we applied
+    this.awaitingAckAnswer = false
+    this.remoteAllow = []
+    this.remoteParty = null    // e.g. '"Reception" <sip:100@pbx>'
+    this.remoteContact = null  // Contact URI of the remote, e.g. the phone that answered
+    this.pendingRefresh = null // our re-INVITE/UPDATE in progress
+    this.updateUnsupported = false
+    this.sessionExpires = sessionExpires
+    this.keepaliveOnly = false  // our timer runs without the remote's agreement, see _applySessionTimer()
+    this.sessionTimer = new SessionTimer({
+      onRefresh: () => this._refreshSession(),
+      onExpired: () => this._sessionExpired()
+    })
+    this.udp = null
+    this.udpRtcp = null
+    this.udpVideo = null
+    this.udpVideoRtcp = null
+    this.mediaAddress = LOCAL_IP       // what we put into our SDP, see _openMediaSockets()
+    this.sdpRtpPort = rtpPort
+    this.sdpRtcpPort = rtpPort + 1
+    this.sdpVideoPort = rtpPort + 2
+    this.sdpVideoRtcpPort = rtpPort + 3
+    this.rtcp = {
+      audio: this._createRtcpSession('audio', () => this.remoteAudioCodec?.clockRate || 48000),
+      video: this._createRtcpSession('video', () => 90000)
+    }
+    this.rtpSequencer = new RtpSequencer({
+      send: rtp => this._sendAudio(rtp),
+      onDrop: () => this.audioStats?.recordDropped()
+    })
+    this.dtmfDetector = new RtpDtmfDetector()
+    this.audioStats = null   // Ring's audio to the PBX, see pipeAudio()
+    this.videoStream = new VideoStream()
+    this.lastKeyFrameRequest = 0
+    this.playingPrompt = false
+    this.ring = null
+    this.encoder = null   // OPUS => SIP codec, only if the PBX doesn't speak OPUS
+    this.decoder = null   // SIP codec => OPUS
+    this.closed = false
+  }
+
+  // The codec of the audio from the PBX, with its negotiated payload type
+  get remoteAudioCodec() {
+    const audio = this.serverRtpInfo?.audio
+    return audio ? { ...AUDIO_CODECS[audio.codec], payloadType: audio.payloadType } : null
+  }
+
+  // For the status API
+  get state() {
+    return {
+      callId: this.callId,
+      dest: this.dest,
+      established: !!this.dialog,
+      earlyMedia: !!this.pendingInvite,
+      remoteParty: this.remoteParty,
+      codec: this.serverRtpInfo?.audio?.codec || null,
+      transcoding: !!this.encoder,
+      sessionExpires: this.sessionTimer.interval,
+      // The remote's last RTCP report about our streams
+      rtcp: { audio: this.rtcp.audio.remoteReport, video: this.rtcp.video.remoteReport }
+    }
+  }
+
+  //--------------------------------------------------------------------------
+  // Public Methods
+  //--------------------------------------------------------------------------
+
+  async initiateCall(dest = this.cameraConfig.dest) {
+    if (this.initiatingCall) return
+    this.initiatingCall = true
+
+    const { displayName } = this.cameraConfig
+    this.dest = dest
+    console.log(`SIP - Initiating call to extension ${dest} on ${SIP_DOMAIN}...`)
+    await this._openMediaSockets()
+    if (this.closed) return
+
+    this.inviteRequest = {
+      method: 'INVITE',
+      uri: `sip:${dest}@${SIP_DOMAIN}`,
+      headers: {
+        to: { uri: `sip:${dest}@${SIP_DOMAIN}` },
+        from: {
+          name: displayName ? `"${displayName}"` : undefined,
+          uri: `sip:${SIP_USER}@${SIP_DOMAIN}`,
+          params: { tag: rstring() }
+        },
+        'call-id': this.callId,
+        cseq: { method: 'INVITE', seq: 1 },
+        contact: [{ uri: nat.contactUri(SIP_USER) }],
+        'max-forwards': 70,
+        allow: ALLOW,
+        supported: 'timer',
+        ...(this.sessionExpires ? {
+          'session-expires': this.sessionExpires,
+          'min-se': minSessionExpires
+        } : {}),
+        'content-type': 'application/sdp'
+      },
+      content: this._createOffer()
+    }
+
+    this.sip.sendRequest(this.inviteRequest, (response) => {
+      this._handleInviteResponse(response)
+    })
+  }
+
+  /**
+   * Reject an inbound INVITE before it was answered, e.g. because the camera is busy.
+   */
+  reject(request, status, reason, headers = {}) {
+    const response = sipLib.makeResponse(request, status, reason, { headers })
+    const { to } = request.headers
+    if (!to.params?.tag) {
+      response.headers.to = { ...to, params: { ...to.params, tag: rstring() } }
+    }
+    sipLib.send(response)
+    this.endCall()
+  }
+
+  /**
+   * Answer the inbound call we hold with 183 Session Progress (see _handleInitialInvite),
+   * once Ring is connected
+   */
+  acceptInvite() {
+    const pending = this.pendingInvite
+    if (!pending) return
+    this.pendingInvite = null
+
+    console.log(`SIP - Answering with 200 OK and local ${this.serverRtpInfo.audio.codec} SDP...`)
+    // The same SDP as in the 183, the media is already flowing
+    const okResponse = this._createOk(pending.request, pending.dialog, pending.sdp)
+    this._acceptSessionTimer(pending.request, okResponse)
+    sipLib.send(okResponse)
+
+    this.dialog = pending.dialog
+    // The SIP library handles the ACK check behind the scenes
+    this.emit('callEstablished', this.serverRtpInfo)
+  }
+
+  /**
+   * Final response to the held inbound INVITE, e.g. 480 if Ring didn't connect in time
+   */
+  declineInvite(status, reason) {
+    const pending = this.pendingInvite
+    if (!pending) return
+    this.pendingInvite = null
+
+    console.log(`SIP - Declining the inbound call: ${status} ${reason}`)
+    sipLib.send(pending.dialog.completeResponse(sipLib.makeResponse(pending.request, status, reason)))
+  }
+
+  /**
+   * Tear down the call: send BYE/CANCEL and close the RTP sockets.
+   */
+  endCall() {
+    // An inbound call we never answered
+    this.declineInvite(480, 'Temporarily Unavailable')
+
+    // If there's a live call, send BYE
+    if (this.dialog) {
+      console.log('SIP - Sending BYE to terminate call...')
+      this.sip.sendRequest(this.dialog.createRequest('BYE'), undefined, this.dialog)
+    }
+    // If we have an INVITE in progress, send CANCEL
+    else if (this.inviteRequest) {
+      console.log('SIP - Sending CANCEL to terminate call...')
+      this.cancelledInvite = this.inviteRequest
+      const response = this.inviteRequest
+      const request = {
+        method: 'CANCEL',
+        uri: response.uri,
+        headers: {
+          to: response.headers.to,
+          from: response.headers.from,
+          'call-id': response.headers['call-id'],
+          // Same CSeq number as the INVITE (RFC 3261 section 9.1)
+          cseq: { method: 'CANCEL', seq: response.headers.cseq.seq },
+          via: response.headers.via
+        }
+      }
+      this.sip.sendRequest(request)
+    }
+
+    this.sessionTimer.stop()
+    this.rtpSequencer.stop()
+    this._stopTranscoding()
+    this._closeMediaSockets()
+    this.dialog = null
+    this.pendingRefresh = null
+    this.inviteRequest = null
+    this.initiatingCall = false
+    this.serverRtpInfo = null
+
+    if (!this.closed) {
+      this.closed = true
+      this.emit('closed')
+    }
+  }
+
+  /**
+   * Pass the PBX audio on to Ring. Called again after every Ring reconnect: the listener
+   * and the stats stay, only the Ring leg is swapped.
+   */
+  pipeAudio(ring) {
+    if (!this.udp) return
+    const piped = !!this.ring
+    this.ring = ring
+    if (piped) return
+
+    this.audioStats = new RtpStats(ring.camera.name, 'ring_to_sip')
+    this.udp.on('message', (message) => {
+      if (isStunMessage(message) || isRtcp(message) || this._isDtmfPacket(message)) return
+      const rtpPacket = RtpPacket.deSerialize(message)
+      this.emit('audio', rtpPacket)
+      if (this.decoder) {
+        this.decoder.send(rtpPacket)
+      } else {
+        this.ring.sendAudioPacket(rtpPacket, false)
+      }
+    })
+  }
+
+  sendAudioPacket(rtp, isTone = false) {
+    if (!isTone) this.audioStats?.record(rtp)
+    // Ring's audio is held back while a prompt plays
+    if (this.playingPrompt) return
+    this._forwardAudioPacket(rtp, isTone)
+  }
+
+  /**
+   * Prompts (see Tones.playFile()) replace the audio from Ring until endPrompt()
+   */
+  startPrompt() {
+    this.playingPrompt = true
+  }
+
+  endPrompt() {
+    this.playingPrompt = false
+  }
+
+  sendPromptPacket(rtp) {
+    this._forwardAudioPacket(rtp, false)
+  }
+
+  _forwardAudioPacket(rtp, isTone) {
+    if (!this.udp || !this.serverRtpInfo || !this.serverRtpInfo.audio) return
+
+    // RtpSequencer drops or rewrites the packet, and hands it to _sendAudio()
+    this.rtpSequencer.process(rtp, isTone)
+  }
+
+  _sendAudio(rtp) {
+    if (this.encoder) {
+      // The encoder hands the transcoded packet to _sendToServer()
+      this.encoder.send(rtp)
+    } else {
+      this._sendToServer(rtp)
+    }
+  }
+
+  sendVideoPacket(rtp) {
+    if (!this.udpVideo || !this.serverRtpInfo || !this.serverRtpInfo.video || !this.serverRtpInfo.video.sending) return
+
+    // A new stream from Ring (start, reconnect) is held back until its key frame
+    if (!this.videoStream.process(rtp)) {
+      this._requestKeyFrame('new video stream')
+      return
+    }
+
+    rtp.header.payloadType = this.serverRtpInfo.video.payloadType
+    this.udpVideo.send(rtp.serialize(), this.serverRtpInfo.video.port, this.serverRtpInfo.video.destination)
+    this.rtcp.video.onSent(rtp)
+  }
+
+  //--------------------------------------------------------------------------
+  // Request Handlers (called by Sip for requests matching our Call-ID)
+  //--------------------------------------------------------------------------
+
+  handleBye(request) {
+    sipLib.send(sipLib.makeResponse(request, 200, 'OK'))
+
+    if (this.dialog) {
+      console.log('SIP - Received BYE for our call. Sending 200 OK, ending call.')
+      this.dialog = null
+      this.sessionTimer.stop()
+      this.emit('callEnded', 'pbx-bye')
+    } else {
+      console.log('SIP - Received BYE for a call that is not established. Ignoring.')
+    }
+  }
+
+  /**
+   * The caller hung up before we answered
+   */
+  handleCancel(request) {
+    const response = sipLib.makeResponse(request, 200, 'OK')
+    sipLib.send(this.pendingInvite ? this.pendingInvite.dialog.completeResponse(response) : response)
+    // Already answered, a BYE follows
+    if (!this.pendingInvite) return
+
+    console.log('SIP - Received CANCEL for the inbound call.')
+    this.declineInvite(487, 'Request Terminated')
+    this.emit('callEnded', 'pbx-cancel')
+  }
+
+  /**
+   * Handle inbound INVITE. If one of our audio codecs is offered we send early media
+   * (183 Session Progress) and answer once Ring is connected, see acceptInvite().
+   * If none is found, reject with 488 Not Acceptable Here.
+   */
+  async handleInvite(request) {
+    const isReInvite = !!this.dialog
+
+    if (this.initiatingCall && !isReInvite) {
+      console.log('SIP - Ignoring INVITE retransmission for a call that is still being set up')
+      return
+    }
+    this.initiatingCall = true
+
+    if (isReInvite) {
+      this._handleReInvite(request)
+      return
+    }
+
+    return this._handleInitialInvite(request)
+  }
+
+  async _handleInitialInvite(request) {
+    // Send 100 Trying
+    sipLib.send(sipLib.makeResponse(request, 100, 'Trying'))
+
+    const requested = parseSessionExpires(request.headers)
+    if (requested && requested.interval < minSessionExpires) {
+      console.log(`SIP - Session-Expires ${requested.interval} is below our minimum. Rejecting call.`)
+      this.reject(request, 422, 'Session Interval Too Small', { 'min-se': minSessionExpires })
+      return
+    }
+
+    console.log('SIP - Inbound call, checking offered codecs...')
+    await this._openMediaSockets()
+    if (this.closed) return
+
+    // Answer the remote offer
+    const answer = this._answerOffer(request.content)
+
+    if (!answer) {
+      // No supported codec found, reject
+      console.log('SIP - Remote did not offer a supported audio codec. Rejecting call.')
+      this.reject(request, 488, 'Not Acceptable Here')
+      return
+    }
+
+    // Store the server RTP info so we can send audio to them
+    this.serverRtpInfo = answer.rtpInfo
+    this._setupTranscoding()
+    this.remoteAllow = parseAllow(request.headers)
+    this.remoteParty = describeParty(request, 'from')
+    const dialog = Dialog.fromRequest(request, rstring(), nat.contactUri(SIP_USER))
+    this.remoteContact = dialog.remoteTarget
+
+    // The caller hears our ringback as early media, the 200 OK waits for Ring (see acceptInvite)
+    console.log(`SIP - Sending 183 Session Progress with local ${answer.rtpInfo.audio.codec} SDP...`)
+    this.pendingInvite = { request, dialog, sdp: answer.sdp }
+    const progress = sipLib.makeResponse(request, 183, 'Session Progress')
+    progress.headers['content-type'] = 'application/sdp'
+    progress.content = answer.sdp
+    sipLib.send(dialog.completeResponse(progress))
+
+    this.emit('inboundCall')
+  }
+
+  /**
+   * An ACK carries the remote answer if we sent the offer in our 200 OK
+   */
+  handleAck(request) {
+    if (!this.awaitingAckAnswer || !request.content) return
+    this.awaitingAckAnswer = false
+    this._applyAnswer(request.content)
+  }
+
+  _handleReInvite(request) {
+    // Both sides sent a re-INVITE at the same time (RFC 3261 section 14.1)
+    if (this.pendingRefresh?.method === 'INVITE') {
+      sipLib.send(this._completeResponse(sipLib.makeResponse(request, 491, 'Request Pending')))
+      return
+    }
+    if (!this._checkSessionInterval(request)) return
+
+    // A re-INVITE without SDP asks us for an offer, the answer comes with the ACK
+    if (!request.content) {
+      console.log('SIP - Received Re-INVITE without SDP. Responding with an offer.')
+      const okResponse = this._createOk(request, this.dialog, this._createOffer())
+      this._acceptSessionTimer(request, okResponse)
+      this.awaitingAckAnswer = true
+      sipLib.send(okResponse)
+      return
+    }
+
+    const answer = this._answerReOffer(request.content)
+    if (!answer) {
+      // The call goes on with the old session
+      console.log('SIP - Re-INVITE without a supported audio codec. Rejecting it.')
+      sipLib.send(this._completeResponse(sipLib.makeResponse(request, 488, 'Not Acceptable Here')))
+      return
+    }
+
+    console.log('SIP - Received Re-INVITE. Responding with 200 OK.')
+    const okResponse = this._createOk(request, this.dialog, answer)
+    this._acceptSessionTimer(request, okResponse)
+    sipLib.send(okResponse)
+  }
+
+  /**
+   * INFO carries DTMF (application/dtmf-relay) on PBXs that don't send RFC 4733 events,
+   * and video phones ask for a key frame with it
+   */
+  handleInfo(request) {
+    sipLib.send(this._completeResponse(sipLib.makeResponse(request, 200, 'OK')))
+
+    if (isPictureFastUpdate(request)) {
+      this._requestKeyFrame('INFO picture_fast_update')
+      return
+    }
+
+    const digit = parseDtmfInfo(request)
+    if (digit) {
+      console.log(`SIP - DTMF ${digit} (INFO)`)
+      this.emit('dtmf', digit)
+    }
+  }
+
+  /**
+   * UPDATE (RFC 3311): a session refresh, or a new offer that is answered right away
+   */
+  handleUpdate(request) {
+    // We have an offer of our own outstanding
+    if (request.content && (this.pendingRefresh?.content || this.awaitingAckAnswer)) {
+      sipLib.send(this._completeResponse(sipLib.makeResponse(request, 491, 'Request Pending')))
+      return
+    }
+    if (!this._checkSessionInterval(request)) return
+
+    let answer = null
+    if (request.content) {
+      answer = this._answerReOffer(request.content)
+      if (!answer) {
+        console.log('SIP - UPDATE without a supported audio codec. Rejecting it.')
+        sipLib.send(this._completeResponse(sipLib.makeResponse(request, 488, 'Not Acceptable Here')))
+        return
+      }
+    }
+
+    console.log('SIP - Received UPDATE. Responding with 200 OK.')
+    const okResponse = this._createOk(request, this.dialog, answer)
+    // Only an established dialog has a session timer
+    if (this.dialog) this._acceptSessionTimer(request, okResponse)
+    sipLib.send(okResponse)
+  }
+
+  //--------------------------------------------------------------------------
+  // Internal Helpers
+  //--------------------------------------------------------------------------
+
+  /**
+   * Bind the RTP and RTCP sockets and find out which address/ports to announce in our SDP
+   */
+  async _openMediaSockets() {
+    if (this.udp) return
+
+    this.udp = createSocket('udp4');
+    this.udpVideo = createSocket('udp4');
+    this.udp.on('message', (message, rinfo) => this._latchRemote('audio', message, rinfo))
+    this.udp.on('message', (message) => this._detectDtmf(message))
+    this.udpVideo.on('message', (message, rinfo) => this._latchRemote('video', message, rinfo))
+    this.udp.on('message', (message) => this._receiveRtp('audio', message))
+    this.udpVideo.on('message', (message) => this._receiveRtp('video', message))
+    // RTCP on the next port, unless it's muxed with the RTP (RFC 5761)
+    this.udpRtcp = createSocket('udp4');
+    this.udpVideoRtcp = createSocket('udp4');
+    this.udpRtcp.on('message', (message, rinfo) => this._receiveRtcp('audio', message, rinfo))
+    this.udpVideoRtcp.on('message', (message, rinfo) => this._receiveRtcp('video', message, rinfo))
+
+    const udp = this.udp
+    const udpVideo = this.udpVideo
+    const udpRtcp = this.udpRtcp
+    const udpVideoRtcp = this.udpVideoRtcp
+    await Promise.all([
+      bindSocket(udp, this.rtpPort),
+      bindSocket(udpRtcp, this.rtpPort + 1),
+      bindSocket(udpVideo, this.videoPort),
+      bindSocket(udpVideoRtcp, this.videoPort + 1)
+    ])
+    console.log(`SIP - Audio RTP Socket bound to ${LOCAL_IP}:${this.rtpPort}`);
+    console.log(`SIP - Video RTP Socket bound to ${LOCAL_IP}:${this.videoPort}`);
+
+    const [audio, audioRtcp, video, videoRtcp] = await Promise.all([udp, udpRtcp, udpVideo, udpVideoRtcp].map(socket => nat.mapRtpSocket(socket)))
+    this.mediaAddress = audio.address
+    this.sdpRtpPort = audio.port
+    this.sdpRtcpPort = audioRtcp.port
+    this.sdpVideoPort = video.port
+    this.sdpVideoRtcpPort = videoRtcp.port
+    if (nat.enabled) {
+      console.log(`SIP - Public RTP ports ${audio.address}:${audio.port} (audio), ${video.port} (video)`);
+    }
+    this.rtcp.audio.start()
+    this.rtcp.video.start()
+  }
+
+  /**
+   * Symmetric RTP: behind NAT the PBX's packets don't come from the address in its SDP.
+   * Send our media back to wherever the first packet of a stream came from.
+   */
+  _latchRemote(kind, message, rinfo) {
+    const stream = this.serverRtpInfo?.[kind]
+    if (!nat.symmetricRtp || !stream || stream.latched || isStunMessage(message)) return
+
+    stream.latched = true
+    if (stream.destination !== rinfo.address || stream.port !== rinfo.port) {
+      console.log(`SIP - Symmetric RTP: sending ${kind} to ${rinfo.address}:${rinfo.port} instead of ${stream.destination}:${stream.port}`)
+      stream.destination = rinfo.address
+      stream.port = rinfo.port
+    }
+  }
+
+  _isDtmfPacket(message) {
+    const dtmf = this.serverRtpInfo?.audio?.dtmf
+    return !!dtmf && message.length > 12 && (message[1] & 0x7f) === dtmf.payloadType
+  }
+
+  _detectDtmf(message) {
+    if (!this._isDtmfPacket(message)) return
+
+    const digit = this.dtmfDetector.process(message)
+    if (digit) {
+      console.log(`SIP - DTMF ${digit} (RTP)`)
+      this.emit('dtmf', digit)
+    }
+  }
+
+  _closeMediaSockets() {
+    // Our RTCP BYE goes out before the sockets close
+    this.rtcp.audio.stop()
+    this.rtcp.video.stop()
+
+    for (const name of ['udp', 'udpRtcp', 'udpVideo', 'udpVideoRtcp']) {
+      const socket = this[name]
+      if (socket) {
+        this[name] = null
+        // A send only goes out on the next tick
+        setImmediate(() => socket.close())
+      }
+    }
+  }
+
+  _createRtcpSession(kind, clockRate) {
+    return new RtcpSession({
+      kind,
+      clockRate,
+      cname: `${SIP_USER}@${LOCAL_IP}`,
+      send: (packet) => this._sendRtcp(kind, packet),
+      onReport: (report) => recordRtcpReport(this.ring?.camera.name || this.cameraConfig.name || this.cameraConfig.id, kind, report)
+    })
+  }
+
+  /**
+   * RTP from the remote, muxed RTCP arrives on the same socket
+   */
+  _receiveRtp(kind, message) {
+    if (isStunMessage(message)) return
+    if (isRtcp(message)) {
+      this._handleRtcp(kind, message)
+    } else {
+      this.rtcp[kind].onReceived(message)
+    }
+  }
+
+  _receiveRtcp(kind, message, rinfo) {
+    // Symmetric RTCP, like _latchRemote() for the RTP
+    const stream = this.serverRtpInfo?.[kind]
+    if (nat.symmetricRtp && stream && !stream.rtcpLatched && !isStunMessage(message)) {
+      stream.rtcpLatched = true
+      stream.rtcpDestination = rinfo.address
+      stream.rtcpPort = rinfo.port
+    }
+    this._handleRtcp(kind, message)
+  }
+
+  _handleRtcp(kind, message) {
+    this.rtcp[kind].handle(message)
+    if (kind === 'video' && isKeyFrameRequest(message)) this._requestKeyFrame('RTCP')
+  }
+
+  _sendRtcp(kind, packet) {
+    const stream = this.serverRtpInfo?.[kind]
+    if (!stream || stream.rtcpDestination === '0.0.0.0') return
+
+    const socket = kind === 'audio'
+      ? (stream.rtcpMux ? this.udp : this.udpRtcp)
+      : (stream.rtcpMux ? this.udpVideo : this.udpVideoRtcp)
+    socket?.send(packet, stream.rtcpPort, stream.rtcpDestination)
+  }
+
+  /**
+   * Ask Ring for a key frame, e.g. the phone lost packets or just started decoding
+   */
+  _requestKeyFrame(reason) {
+    const now = Date.now()
+    if (!this.ring || now - this.lastKeyFrameRequest < KEY_FRAME_REQUEST_INTERVAL) return
+
+    this.lastKeyFrameRequest = now
+    console.log(`SIP - Requesting a key frame from Ring (${reason})`)
+    this.ring.requestKeyFrame()
+  }
+
+  _sendToServer(rtp) {
+    if (!this.udp || !this.serverRtpInfo || !this.serverRtpInfo.audio || !this.serverRtpInfo.audio.sending) return
+
+    rtp.header.payloadType = this.serverRtpInfo.audio.payloadType
+    this.udp.send(rtp.serialize(), this.serverRtpInfo.audio.port, this.serverRtpInfo.audio.destination)
+    this.rtcp.audio.onSent(rtp)
+  }
+
+  /**
+   * Start (or restart after a codec change) the FFmpeg transcoders if the PBX
+   * doesn't speak OPUS. With OPUS on both legs packets are passed through.
+   */
+  _setupTranscoding() {
+    const audio = this.serverRtpInfo?.audio
+    const codecName = audio && audio.codec !== 'OPUS' ? audio.codec : null
+    if (codecName === (this.encoder?.to.name || null)) return
+
+    this._stopTranscoding()
+    if (!codecName) return
+
+    console.log(`SIP - Transcoding OPUS <=> ${codecName}`)
+    const sipCodec = { ...AUDIO_CODECS[codecName], payloadType: audio.payloadType, ptime: audio.ptime }
+    this.encoder = new Transcoder(AUDIO_CODECS.OPUS, sipCodec, rtp => this._sendToServer(rtp))
+    this.decoder = new Transcoder(sipCodec, AUDIO_CODECS.OPUS, rtp => this.ring?.sendAudioPacket(rtp, false))
+
+    for (const transcoder of [this.encoder, this.decoder]) {
+      transcoder.start().catch((err) => {
+        console.error('SIP - Error starting transcoder:', err)
+        this.emit('callFailed', { status: 488, reason: 'Transcoding failed' })
+      })
+    }
+  }
+
+  _stopTranscoding() {
+    if (this.encoder) {
+      this.encoder.stop()
+      this.encoder = null
+    }
+    if (this.decoder) {
+      this.decoder.stop()
+      this.decoder = null
+    }
+  }
+
+  /**
+   * A 200 OK for an INVITE or UPDATE, with our SDP if there is one
+   */
+  _createOk(request, dialog, sdp) {
+    const response = sipLib.makeResponse(request, 200, 'OK')
+    response.headers.allow = ALLOW
+    response.headers.supported = 'timer'
+    if (sdp) {
+      response.headers['content-type'] = 'application/sdp'
+      response.content = sdp
+    }
+    return dialog ? dialog.completeResponse(response) : response
+  }
+
+  _completeResponse(response) {
+    return this.dialog ? this.dialog.completeResponse(response) : response
+  }
+
+  /**
+   * A 200 OK that crossed our CANCEL still needs an ACK, then we hang up (RFC 3261 section 9.1)
+   */
+  _hangUpLateAnswer(response) {
+    const invite = this.cancelledInvite
+    this.cancelledInvite = null
+    console.log('SIP - 200 OK crossed our CANCEL. Sending ACK and BYE.')
+    const dialog = Dialog.fromResponse(invite, response, nat.contactUri(SIP_USER))
+    this.sip.sendRequest(dialog.createRequest('ACK', { seq: response.headers.cseq.seq }))
+    this.sip.sendRequest(dialog.createRequest('BYE'), undefined, dialog)
+  }
+
+  _handleInviteResponse(response) {
+    // Ignore late responses once the call was torn down
+    if (!this.inviteRequest) {
+      if (this.cancelledInvite && response.status >= 200 && response.status < 300) this._hangUpLateAnswer(response)
+      return
+    }
+
+    // 401/407 are answered by sip.sendRequest(), here only if the credentials were rejected
+    if (response.status >= 100 && response.status < 200) {
+      // Provisional responses
+      if (response.status === 180) {
+        this.emit('ringing')
+      }
+    }
+    else if (response.status === 422 && this._retryWithMinSe(response)) {
+      return
+    }
+    else if (response.status >= 200 && response.status < 300) {
+      // A retransmitted 200 OK, our ACK got lost
+      if (this.dialog) {
+        this.sip.sendRequest(this.dialog.createRequest('ACK', { seq: response.headers.cseq.seq }))
+        return
+      }
+
+      console.log(`SIP - Call established: ${response.status} ${response.reason}`)
+      this.dialog = Dialog.fromResponse(this.inviteRequest, response, nat.contactUri(SIP_USER))
+      this.remoteAllow = parseAllow(response.headers)
+      this.remoteParty = describeParty(response, 'to')
+      this.remoteContact = this.dialog.remoteTarget
+
+      // Parse SDP from the response
+      this.serverRtpInfo = this._parseAnswer(response.content)
+      this._setupTranscoding()
+
+      // Send ACK
+      this.sip.sendRequest(this.dialog.createRequest('ACK', { seq: response.headers.cseq.seq }))
+      this._applySessionTimer(response)
+
+      // Let others know we've established the call
+      this.emit('callEstablished', this.serverRtpInfo)
+    }
+    else {
+      console.error(`SIP - Call failed: ${response.status} ${response.reason}`, response)
+      this.inviteRequest = null
+      this.emit('callFailed', { status: response.status, reason: response.reason })
+    }
+  }
+
+  //--------------------------------------------------------------------------
+  // Session Timer (RFC 4028)
+  //--------------------------------------------------------------------------
+
+  /**
+   * 422 Session Interval Too Small: send the INVITE again with the remote's Min-SE
+   */
+  _retryWithMinSe(response) {
+    const minSe = parseMinSe(response.headers)
+    if (!minSe || minSe <= this.sessionExpires) return false
+
+    console.log(`SIP - Remote wants a session interval of at least ${minSe}s. Retrying INVITE.`)
+    this.sessionExpires = minSe
+    const { headers } = this.inviteRequest
+    headers['session-expires'] = minSe
+    headers['min-se'] = minSe
+    headers.cseq.seq += 1
+    headers.via = []
+    this.sip.sendRequest(this.inviteRequest, (retryResp) => this._handleInviteResponse(retryResp))
+    return true
+  }
+
+  /**
+   * A refresh (or the initial INVITE) must not ask for less than our Min-SE, otherwise 422
+   */
+  _checkSessionInterval(request) {
+    const requested = parseSessionExpires(request.headers)
+    if (!requested || requested.interval >= minSessionExpires) return true
+
+    console.log(`SIP - Session-Expires ${requested.interval} is below our minimum. Rejecting ${request.method}.`)
+    const response = sipLib.makeResponse(request, 422, 'Session Interval Too Small')
+    response.headers['min-se'] = minSessionExpires
+    sipLib.send(this._completeResponse(response))
+    return false
+  }
+
+  /**
+   * We are the UAS of an INVITE, re-INVITE or UPDATE: settle interval and refresher,
+   * put them into our 2xx and (re)start the timer
+   */
+  _acceptSessionTimer(request, response) {
+    this.keepaliveOnly = false
+    const requested = parseSessionExpires(request.headers)
+    const interval = requested ? requested.interval : this.sessionExpires
+    if (!interval) {
+      this.sessionTimer.stop()
+      return
+    }
+
+    // Without the timer extension the remote won't refresh, so we do
+    const refresher = requested?.refresher || (hasOptionTag(request.headers, 'timer') ? 'uac' : 'uas')
+    response.headers['session-expires'] = `${interval};refresher=${refresher}`
+    if (refresher === 'uac') response.headers.require = 'timer'
+
+    this.sessionTimer.start(interval, refresher === 'uas')
+  }
+
+  /**
+   * We are the UAC of an INVITE, re-INVITE or UPDATE and got a 2xx. Without a Session-Expires
+   * the remote doesn't do session timers and there is none (RFC 4028 section 7.2), unless
+   * SESSION_KEEPALIVE has us refresh anyway so a dead call gets noticed.
+   */
+  _applySessionTimer(response) {
+    const granted = parseSessionExpires(response.headers)
+    this.keepaliveOnly = !granted && sessionKeepalive && !!this.sessionExpires
+    if (granted) {
+      this.sessionTimer.start(granted.interval, granted.refresher !== 'uas')
+    } else if (this.keepaliveOnly) {
+      this.sessionTimer.start(this.sessionTimer.interval || this.sessionExpires, true)
+    } else {
+      this.sessionTimer.stop()
+    }
+  }
+
+  /**
+   * UPDATE if the remote allows it (no SDP needed), re-INVITE otherwise
+   */
+  _refreshMethod() {
+    if (SESSION_REFRESH_METHOD) return SESSION_REFRESH_METHOD.toUpperCase()
+    return this.remoteAllow.includes('UPDATE') && !this.updateUnsupported ? 'UPDATE' : 'INVITE'
+  }
+
+  _refreshSession() {
+    if (!this.dialog || this.pendingRefresh) return
+
+    const method = this._refreshMethod()
+    const request = this.dialog.createRequest(method, {
+      headers: {
+        allow: ALLOW,
+        supported: 'timer',
+        'session-expires': `${this.sessionTimer.interval};refresher=uac`,
+        'min-se': minSessionExpires
+      },
+      // A refreshing re-INVITE offers the unchanged session (same o= version)
+      content: method === 'INVITE' ? this.localSdp : undefined
+    })
+
+    console.log(`SIP - Refreshing session with ${method}`)
+    this.pendingRefresh = request
+    this.sip.sendRequest(request, (response) => this._handleRefreshResponse(request, response), this.dialog)
+  }
+
+  _handleRefreshResponse(request, response) {
+    if (response.status < 200) return
+    if (this.pendingRefresh === request) this.pendingRefresh = null
+    if (!this.dialog) return
+
+    if (response.status < 300) {
+      if (request.method === 'INVITE') {
+        this.sip.sendRequest(this.dialog.createRequest('ACK', { seq: request.headers.cseq.seq }))
+        this._applyAnswer(response.content)
+      }
+      this._applySessionTimer(response)
+      return
+    }
+
+    console.log(`SIP - Session refresh failed: ${response.status} ${response.reason}`)
+    switch (response.status) {
+      case 422:
+        // Ask again with the remote's minimum
+        this.sessionTimer.interval = Math.max(parseMinSe(response.headers) || 0, this.sessionTimer.interval)
+        this._refreshSession()
+        break
+      case 491:
+        // Glare, try again after 2.1 to 4 seconds
+        this.sessionTimer.retryRefresh(2100 + Math.random() * 1900)
+        break
+      case 405:
+      case 501:
+        if (request.method === 'UPDATE') {
+          this.updateUnsupported = true
+          this._refreshSession()
+        } else {
+          this._keepaliveAnswered()
+        }
+        break
+      case 408:
+      case 481:
+        // The remote lost the dialog (RFC 4028 section 10)
+        this.emit('callEnded', 'dialog-lost')
+        break
+      default:
+        // An agreed session expires unless the remote refreshes it
+        this._keepaliveAnswered()
+        break
+    }
+  }
+
+  // The remote never agreed to our refreshes, still any answer shows the call is alive
+  _keepaliveAnswered() {
+    if (this.keepaliveOnly) this.sessionTimer.start(this.sessionTimer.interval, true)
+  }
+
+  _sessionExpired() {
+    console.log('SIP - Session expired without a refresh. Ending call.')
+    this.emit('callEnded', 'session-expired')
+  }
+
+  //--------------------------------------------------------------------------
+  // SDP Offer/Answer
+  //--------------------------------------------------------------------------
+
+  /**
+   * A fresh session description of ours. Same session id for the whole call,
+   * the version is set by _serializeLocalSdp().
+   */
+  _createLocalSession() {
+    return createSession({
+      sessionId: this.sdpSessionId,
+      sessionVersion: this.sdpVersion,
+      address: this.mediaAddress
+    })
+  }
+
+  /**
+   * RFC 3264 section 8: the o= version only goes up if the description changed,
+   * e.g. a session refresh sends the same SDP with the same version again
+   */
+  _serializeLocalSdp(session) {
+    session.origin.sessionVersion = this.sdpVersion
+    let sdp = serializeSdp(session)
+    if (this.localSdp !== null && sdp !== this.localSdp) {
+      session.origin.sessionVersion = ++this.sdpVersion
+      sdp = serializeSdp(session)
+    }
+    this.localSdp = sdp
+    return sdp
+  }
+
+  /**
+   * Same o= session id and version as the last remote SDP means nothing changed
+   */
+  _isRemoteSdpUnchanged(sdp) {
+    const { origin } = parseSdp(sdp)
+    return !!(origin && this.remoteOrigin &&
+      origin.username === this.remoteOrigin.username &&
+      origin.sessionId === this.remoteOrigin.sessionId &&
+      origin.sessionVersion === this.remoteOrigin.sessionVersion)
+  }
+
+  /**
+   * Answer an offer within the call (re-INVITE or UPDATE). The media is only set up
+   * again if the remote SDP changed. Returns our SDP, or null if nothing could be negotiated.
+   */
+  _answerReOffer(sdp) {
+    const unchanged = this._isRemoteSdpUnchanged(sdp)
+    const answer = this._answerOffer(sdp)
+    if (!answer) return null
+
+    if (!unchanged) {
+      this.serverRtpInfo = answer.rtpInfo
+      this._setupTranscoding()
+    }
+    return answer.sdp
+  }
+
+  /**
+   * Apply an answer within the call (ACK or 2xx of our re-INVITE)
+   */
+  _applyAnswer(sdp) {
+    if (!sdp || this._isRemoteSdpUnchanged(sdp)) return
+
+    const rtpInfo = this._parseAnswer(sdp)
+    if (rtpInfo) {
+      this.serverRtpInfo = rtpInfo
+      this._setupTranscoding()
+    }
+  }
+
+  /**
+   * Our offer: all audio codecs in order of preference, and the H264 video of Ring.
+   * The video only goes to the PBX, there's nothing to show it on.
+   */
+  _createOffer() {
+    const session = this._createLocalSession()
+    const audioCodecs = audioCodecPreference.map(name => AUDIO_CODECS[name])
+    const events = TELEPHONE_EVENTS.filter(event => audioCodecs.some(codec => codec.clockRate === event.clockRate))
+    session.media.push(this._createAudioMedia([...audioCodecs, ...events], DEFAULT_PTIME, 'sendrecv', true))
+    session.media.push(this._createVideoMedia(H264_PAYLOAD_TYPE, RING_H264_FMTP, 'sendonly', true))
+    return this._serializeLocalSdp(session)
+  }
+
+  /**
+   * Answer a remote offer (RFC 3264): one m= line per offered m= line, in the same
+   * order. Streams we can't use, or that were offered with port 0, are rejected with port 0.
+   * Returns { sdp, rtpInfo }, or null if no audio stream could be negotiated.
+   */
+  _answerOffer(sdp) {
+    if (!sdp) return null
+
+    const offer = parseSdp(sdp)
+    const session = this._createLocalSession()
+    const rtpInfo = { audio: null, video: null }
+
+    for (const media of offer.media) {
+      let answered = null
+
+      if (media.port !== 0 && media.type === 'audio' && !rtpInfo.audio) {
+        const codec = this._pickAudioCodec(media, audioCodecPreference)
+        if (codec) {
+          const dtmf = this._pickTelephoneEvent(media, codec.clockRate)
+          rtpInfo.audio = this._remoteStream(offer, media, codec.payloadType)
+          rtpInfo.audio.codec = codec.name
+          rtpInfo.audio.ptime = parsePtime(getAttribute(media, 'ptime'))
+          rtpInfo.audio.dtmf = dtmf
+          answered = this._createAudioMedia(dtmf ? [codec, dtmf] : [codec], rtpInfo.audio.ptime, answerDirection(rtpInfo.audio.direction), rtpInfo.audio.rtcpMux)
+        }
+      }
+      else if (media.port !== 0 && media.type === 'video' && !rtpInfo.video) {
+        const h264 = pickH264(media)
+        if (h264) {
+          rtpInfo.video = this._remoteStream(offer, media, h264.payloadType)
+          // We only send, and only if the remote wants to receive
+          const direction = rtpInfo.video.sending ? 'sendonly' : 'inactive'
+          answered = this._createVideoMedia(h264.payloadType, h264.fmtp, direction, rtpInfo.video.rtcpMux)
+        }
+      }
+
+      // Reject the stream, but keep the m= line so the order matches the offer
+      session.media.push(answered || { ...createMedia(media.type, 0, [media.formats[0]]), protocol: media.protocol })
+    }
+
+    if (!rtpInfo.audio) return null
+
+    this.remoteOrigin = offer.origin
+    logRtpInfo(rtpInfo)
+    return { sdp: this._serializeLocalSdp(session), rtpInfo }
+  }
+
+  /**
+   * Read the remote answer to our offer
+   */
+  _parseAnswer(sdp) {
+    if (!sdp) return null
+
+    const answer = parseSdp(sdp)
+    const rtpInfo = { audio: null, video: null }
+
+    for (const media of answer.media) {
+      if (media.port === 0) continue
+
+      if (media.type === 'audio' && !rtpInfo.audio) {
+        // The answer should contain a single codec, otherwise the first one is used
+        const codec = this._pickAudioCodec(media, media.formats)
+        if (codec) {
+          rtpInfo.audio = this._remoteStream(answer, media, codec.payloadType)
+          rtpInfo.audio.codec = codec.name
+          rtpInfo.audio.ptime = parsePtime(getAttribute(media, 'ptime'))
+          rtpInfo.audio.dtmf = this._pickTelephoneEvent(media, codec.clockRate)
+        }
+      }
+      else if (media.type === 'video' && !rtpInfo.video) {
+        const h264 = pickH264(media)
+        if (h264) {
+          rtpInfo.video = this._remoteStream(answer, media, h264.payloadType)
+        }
+      }
+    }
+
+    if (!rtpInfo.audio && !rtpInfo.video) return null
+
+    this.remoteOrigin = answer.origin
+    logRtpInfo(rtpInfo)
+    return rtpInfo
+  }
+
+  /**
+   * Pick an audio codec of an m= line. `preference` is either our list of codec names
+   * or the remote's list of payload types. Returns the codec with the remote payload type.
+   */
+  _pickAudioCodec(media, preference) {
+    // Map the offered payload types to our codecs, static ones may come without rtpmap
+    const offered = new Map()
+    for (const format of media.formats) {
+      const payloadType = parseInt(format, 10)
+      const rtpmap = getRtpmap(media, payloadType)
+      const codec = rtpmap ? findAudioCodec(rtpmap.encodingName) : findStaticAudioCodec(payloadType)
+      if (codec && !offered.has(codec.name)) {
+        offered.set(codec.name, { ...codec, payloadType })
+      }
+    }
+
+    for (const entry of preference) {
+      const codec = offered.get(entry) || [...offered.values()].find(c => String(c.payloadType) === String(entry))
+      if (codec) return codec
+    }
+    return null
+  }
+
+  /**
+   * The RFC 4733 telephone-event of an m= line, preferably with the clock rate of the audio codec
+   */
+  _pickTelephoneEvent(media, clockRate) {
+    const events = []
+    for (const format of media.formats) {
+      const payloadType = parseInt(format, 10)
+      const rtpmap = getRtpmap(media, payloadType)
+      if (rtpmap && rtpmap.encodingName.toLowerCase() === 'telephone-event') {
+        const fmtp = serializeFmtp(getFmtp(media, payloadType)) || '0-16'
+        events.push({ name: 'telephone-event', payloadType, clockRate: rtpmap.clockRate, channels: 1, fmtp })
+      }
+    }
+    return events.find(event => event.clockRate === clockRate) || events[0] || null
+  }
+
+  /**
+   * Where and whether to send a negotiated stream. RTCP goes to the RTP port with
+   * rtcp-mux (RFC 5761), else to a=rtcp (RFC 3605) or the next port.
+   */
+  _remoteStream(session, media, payloadType) {
+    const destination = getConnectionAddress(session, media)
+    const direction = getDirection(session, media)
+    const rtcpMux = hasAttribute(media, 'rtcp-mux')
+    const [rtcpPort, , , rtcpAddress] = (getAttribute(media, 'rtcp') || '').split(/\s+/)
+    return {
+      destination,
+      port: media.port,
+      payloadType,
+      fmtp: getFmtp(media, payloadType),
+      direction,
+      // The remote doesn't want media from us (e.g. on hold)
+      sending: ['sendrecv', 'recvonly'].includes(direction) && destination !== '0.0.0.0',
+      rtcpMux,
+      rtcpDestination: (!rtcpMux && rtcpAddress) || destination,
+      rtcpPort: rtcpMux ? media.port : parseInt(rtcpPort, 10) || media.port + 1
+    }
+  }
+
+  /**
+   * rtcp-mux in an offer, or in the answer if the remote offered it
+   */
+  _addRtcpAttributes(media, rtcpPort, rtcpMux) {
+    if (rtcpMux) addAttribute(media, 'rtcp-mux')
+    // Behind NAT the public RTCP port isn't necessarily the next one
+    if (rtcpPort !== media.port + 1) addAttribute(media, 'rtcp', rtcpPort)
+  }
+
+  _createAudioMedia(codecs, ptime, direction, rtcpMux) {
+    const media = createMedia('audio', this.sdpRtpPort, codecs.map(codec => codec.payloadType))
+    codecs.forEach(codec => {
+      addAttribute(media, 'rtpmap', `${codec.payloadType} ${rtpmapOf(codec)}`)
+      if (codec.fmtp) addAttribute(media, 'fmtp', `${codec.payloadType} ${codec.fmtp}`)
+    })
+    addAttribute(media, 'ptime', ptime)
+    addAttribute(media, 'maxptime', 150)
+    this._addRtcpAttributes(media, this.sdpRtcpPort, rtcpMux)
+    addAttribute(media, direction)
+    return media
+  }
+
+  _createVideoMedia(payloadType, fmtp, direction, rtcpMux) {
+    const media = createMedia('video', this.sdpVideoPort, [payloadType])
+    addAttribute(media, 'rtpmap', `${payloadType} H264/90000`)
+    if (Object.keys(fmtp).length) addAttribute(media, 'fmtp', `${payloadType} ${serializeFmtp(fmtp)}`)
+    // Phones ask for key frames with RTCP PLI or FIR
+    addAttribute(media, 'rtcp-fb', `${payloadType} nack pli`)
+    addAttribute(media, 'rtcp-fb', `${payloadType} ccm fir`)
+    this._addRtcpAttributes(media, this.sdpVideoRtcpPort, rtcpMux)
+    addAttribute(media, direction)
+    return media
+  }
+}
@@ -1,256 +1,254 @@
 import sipLib from 'sip'
 import digest from 'sip/digest.js'
-import { RtpPacket } from 'werift'
 import { EventEmitter } from 'events'
-import { createSocket } from "dgram";
-import RtpSequencer from './rtp-sequencer.js'
+import { randomBytes } from 'crypto'
+import SipCall from './sip-call.js'
+import { nat } from './nat.js'
+import { security } from './security.js'
+import { cameraConfigs } from './config.js'
+import { rstring, unquote } from './util.js'
+import { registerFailures } from './metrics.js'
 
 const {
   SIP_DOMAIN,
   SIP_PORT,
-  SIP_DEST,
   SIP_USER,
   SIP_PASS,
+  SIP_AUTH_USER,
+  SIP_OUTBOUND_PROXY,
   LOCAL_IP,
   LOCAL_RTP_PORT,
-  LOCAL_SIP_PORT
+  LOCAL_SIP_PORT,
+  SIP_REGISTER_EXPIRES
 } = process.env
 
-const LOCAL_VIDEO_PORT = parseInt(LOCAL_RTP_PORT) + 2
+// Every call gets its own block of ports: audio RTP, (RTCP), video RTP, (RTCP)
+const PORTS_PER_CALL = 4
+
+// Refresh the registration this many seconds before it expires, at the latest halfway
+const REGISTER_REFRESH_MARGIN = 60
+// Retry a failed REGISTER after 5, 10, 20, ... seconds, at most every 5 minutes
+const REGISTER_RETRY_MIN = 5
+const REGISTER_RETRY_MAX = 300
+
+// A request answers at most two challenges: the first, and one more if the nonce was stale
+const MAX_AUTH_RETRIES = 2
+// If the challenge offers both, auth-int also protects the body
+const QOP_PREFERENCE = ['auth-int', 'auth']
+
+/**
+ * Where credentials of a session apply (RFC 3261 section 22.3): those of a proxy (407) to
+ * requests through that proxy, the next hop. Those of a server (401) to its domain, the
+ * host of the Request-URI.
+ */
+function authScope(request, proxy) {
+  const uri = proxy && request.headers.route?.length ? request.headers.route[0].uri : request.uri
+  return sipLib.parseUri(uri)?.host?.toLowerCase() || null
+}
+
+function authKey(proxy, scope, realm) {
+  return `${proxy ? 'proxy' : 'www'}:${scope}:${realm}`
+}
 
-function rstring() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < 9; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+// The nextnonce of an (Proxy-)Authentication-Info header. The stack only parses the first.
+function parseNextNonce(info) {
+  if (typeof info === 'string') return /nextnonce\s*=\s*"?([^",\s]+)"?/i.exec(info)?.[1] || null
+  return unquote(info?.nextnonce) || null
+}
+
+/**
+ * SIP_OUTBOUND_PROXY (host[:port] or a SIP URI) => the URI for our Route header
+ */
+function parseOutboundProxy(value) {
+  if (!value) return null
+  const uri = sipLib.parseUri(/^sips?:/.test(value) ? value : `sip:${value}`)
+  if (!uri?.host) {
+    console.error(`SIP - Ignoring invalid SIP_OUTBOUND_PROXY ${value}`)
+    return null
+  }
+  // Loose routing, the Request-URI stays the destination
+  uri.params = { ...uri.params, lr: null }
+  return sipLib.stringifyUri(uri)
+}
+
+/**
+ * A digest session (the context sip/digest.js signs with) for one challenge of a 401/407,
+ * null if we can't answer it. Only MD5 and MD5-sess, qop auth or auth-int.
+ */
+function createAuthSession(challenge, proxy, scope, { user, password }) {
+  const algorithm = (unquote(challenge.algorithm) || 'md5').toLowerCase()
+  if (!['md5', 'md5-sess'].includes(algorithm)) return null
+  const offered = (unquote(challenge.qop) || '').toLowerCase().split(',').map(qop => qop.trim()).filter(Boolean)
+  const qop = QOP_PREFERENCE.find(qop => offered.includes(qop))
+  if (offered.length && !qop) return null
+
+  const realm = unquote(challenge.realm)
+  const nonce = unquote(challenge.nonce)
+  const cnonce = qop || algorithm === 'md5-sess' ? randomBytes(8).toString('hex') : undefined
+  const userhash = digest.calculateUserRealmPasswordHash(user, realm, password)
+  return {
+    proxy,
+    scope,
+    realm,
+    user,
+    nonce,
+    cnonce,
+    qop,
+    nc: qop ? 0 : undefined,  // counts up with every request that reuses the nonce
+    algorithm: unquote(challenge.algorithm),
+    opaque: unquote(challenge.opaque),
+    userhash,
+    ha1: algorithm === 'md5-sess' ? digest.kd(userhash, nonce, cnonce) : userhash
   }
-  return result;
 }
 
 class Sip extends EventEmitter {
   constructor() {
     super()
-    this.sipSession = null
-    this.inviteRequest = null
-    this.authSession = { realm: SIP_DOMAIN }
+    this.credentials = { user: SIP_AUTH_USER || SIP_USER, password: SIP_PASS }
+    this.authSessions = new Map()  // 'www:realm' / 'proxy:realm' => digest session
+    this.outboundProxy = parseOutboundProxy(SIP_OUTBOUND_PROXY)
     this.isSipStackStarted = false
-    this.initiatingCall = false
-    this.serverRtpInfo = null
-    this.udp = createSocket('udp4');
-    this.udp.bind(LOCAL_RTP_PORT, LOCAL_IP, () => {
-      console.log(`SIP - Audio RTP Socket bound to ${LOCAL_IP}:${LOCAL_RTP_PORT}`);
-    })
-    this.udpVideo = createSocket('udp4');
-    this.udpVideo.bind(LOCAL_VIDEO_PORT, LOCAL_IP, () => {
-      console.log(`SIP - Video RTP Socket bound to ${LOCAL_IP}:${LOCAL_VIDEO_PORT}`);
-    })
-    this.rtpSequencer = new RtpSequencer()
-
-    this.registerInterval = null
-    this.registerExpires = 600 // seconds (example)
-    this.currentCallId = null  // track inbound calls or single call scenario
+    this.stackOptions = null
+    this.calls = new Map()       // Call-ID => SipCall
+    this.mediaSlots = new Set()  // port blocks in use by active calls
+
+    this.registration = null   // { callId, fromTag, cseq, expires } of our binding, see register()
+    this.registerExpires = parseInt(SIP_REGISTER_EXPIRES || '600')  // seconds we ask for
+    this.registerTimer = null  // next refresh or retry
+    this.expireTimer = null
+    this.registerRetries = 0   // failed REGISTERs in a row
+    this.registered = false
+    this.registeredUntil = null
+    this.lastRegister = null   // { status, reason, time } of the last REGISTER response
+    this.keepaliveInterval = null
   }
 
   //--------------------------------------------------------------------------
   // Public Methods
   //--------------------------------------------------------------------------
 
-  initialize(debug = false) {
+  async initialize(debug = false) {
     if (this.isSipStackStarted) return
 
-    sipLib.start({
+    await Promise.all([nat.initialize(), security.initialize(this.outboundProxy)])
+    if (this.outboundProxy) console.log(`SIP - Sending requests through outbound proxy ${this.outboundProxy}`)
+
+    // Kept so the Via follows the public address we learn from the registrar, the stack reads it on every send
+    this.stackOptions = {
       address: LOCAL_IP,
       port: LOCAL_SIP_PORT,
+      publicAddress: nat.publicAddress || undefined,
       logger: debug ? {
         send: function (m, target) { console.log('send', m) },
         recv: function (m, target) { console.log('recv', m) },
         error: function (e) { console.log('error', e) }
       } : null
-    }, (request) => {
+    }
+    sipLib.start(this.stackOptions, (request, remote) => {
       console.log(`SIP - Received request: ${request.method}`)
-
-      if (request.method === 'BYE') {
-        this._handleBye(request)
-      }
-      else if (request.method === 'INVITE') {
-        this._handleInboundInvite(request)
-      }
-      else if (request.method === 'INFO') {
-        const response = sipLib.makeResponse(request, 200, 'OK')
-        sipLib.send(response)
-      }
-      else if (request.method === 'OPTIONS') {
-        const response = sipLib.makeResponse(request, 200, 'OK')
-        sipLib.send(response)
-      }
+      this._handleRequest(request, remote)
     })
 
     this.isSipStackStarted = true
-
-    return Promise.resolve()
   }
 
+  /**
+   * Register at SIP_DOMAIN and keep the registration alive: refresh it before the expiry the
+   * registrar granted, retry with backoff after a failure. See _handleRegisterResponse().
+   */
   register() {
-    if (this.registerInterval) {
+    if (this.registration) {
       // Already registering/registered
       return
     }
 
-    const sendRegister = (expires = this.registerExpires) => {
-      const callId = rstring()
-      const registerRequest = {
-        method: 'REGISTER',
-        uri: `sip:${SIP_DOMAIN}`,
-        headers: {
-          to: { uri: `sip:${SIP_USER}@${SIP_DOMAIN}` },
-          from: {
-            uri: `sip:${SIP_USER}@${SIP_DOMAIN}`,
-            params: { tag: rstring() }
-          },
-          'call-id': callId,
-          cseq: { method: 'REGISTER', seq: 1 },
-          contact: [{
-            uri: `sip:${SIP_USER}@${LOCAL_IP}:${LOCAL_SIP_PORT}`,
-            params: { expires }
-          }],
-          'max-forwards': 70,
-          'user-agent': 'SipToRing/1.0',
-          'Expires': expires
-        }
-      }
-
-      sipLib.send(registerRequest, (response) => {
-        if (response.status === 401 && response.headers['www-authenticate']) {
-          this._retryWithDigestAuth(
-            registerRequest,
-            response,
-            'SIP - REGISTER success (after auth).',
-            'SIP - REGISTER failed:',
-            () => { }
-          )
-        }
-        else if (response.status >= 200 && response.status < 300) {
-          console.log('SIP - REGISTER success.')
-        }
-        else {
-          console.error(`SIP - REGISTER failed: ${response.status} ${response.reason}`)
-        }
-      })
-    }
-
-    // Immediately send a REGISTER
-    sendRegister(this.registerExpires)
-
-    // Keep re-registering every <registerExpires> seconds
-    this.registerInterval = setInterval(() => {
-      sendRegister(this.registerExpires)
-    }, this.registerExpires * 1000)
+    // All REGISTERs of our binding share Call-ID and From tag, the CSeq counts up (RFC 3261 section 10.2)
+    this.registration = { callId: rstring(), fromTag: rstring(), cseq: 0, expires: this.registerExpires }
+    this._sendRegister()
+    this._startKeepalive()
   }
 
-  initiateCall() {
-    if (this.initiatingCall) return
-    this.initiatingCall = true
-
-    console.log(`SIP - Initiating call to extension ${SIP_DEST} on ${SIP_DOMAIN}...`)
+  /**
+   * Create a new call with its own RTP ports. The call removes itself once it has ended.
+   */
+  createCall(cameraConfig, callId = rstring()) {
+    let slot = 0
+    while (this.mediaSlots.has(slot)) slot++
+    this.mediaSlots.add(slot)
+
+    const call = new SipCall(this, {
+      callId,
+      cameraConfig,
+      rtpPort: parseInt(LOCAL_RTP_PORT) + slot * PORTS_PER_CALL
+    })
+    this.calls.set(callId, call)
+    call.once('closed', () => {
+      this.calls.delete(callId)
+      this.mediaSlots.delete(slot)
+    })
+    return call
+  }
 
-    const sessionId = Date.now()
-    this.inviteRequest = {
-      method: 'INVITE',
-      uri: `sip:${SIP_DEST}@${SIP_DOMAIN}`,
+  /**
+   * Send a text MESSAGE (RFC 3428) outside of a call, e.g. the snapshot link to an extension
+   */
+  sendMessage(user, text) {
+    const request = {
+      method: 'MESSAGE',
+      uri: `sip:${user}@${SIP_DOMAIN}`,
       headers: {
-        to: { uri: `sip:${SIP_DEST}@${SIP_DOMAIN}` },
+        to: { uri: `sip:${user}@${SIP_DOMAIN}` },
         from: {
           uri: `sip:${SIP_USER}@${SIP_DOMAIN}`,
           params: { tag: rstring() }
         },
         'call-id': rstring(),
-        cseq: { method: 'INVITE', seq: 1 },
-        contact: [{ uri: `sip:${SIP_USER}@${LOCAL_IP}:${LOCAL_SIP_PORT}` }],
-        'max-forwards': 70,
-        'content-type': 'application/sdp'
+        cseq: { method: 'MESSAGE', seq: 1 },
+        'content-type': 'text/plain',
+        'max-forwards': 70
       },
-      content: this._buildLocalSdp(sessionId)
+      content: text
     }
 
-    sipLib.send(this.inviteRequest, (response) => {
-      this._handleInviteResponse(response)
+    this.sendRequest(request, (response) => {
+      if (response.status < 200) return
+      if (response.status < 300) {
+        console.log(`SIP - MESSAGE to ${user} sent.`)
+      } else {
+        console.error(`SIP - MESSAGE to ${user} failed: ${response.status} ${response.reason}`)
+      }
     })
   }
 
+  /**
+   * End all calls and unregister. Only used on shutdown.
+   */
   cleanup() {
-    // If there's a live call, send BYE
-    if (this.sipSession && this.sipSession.headers) {
-      console.log('SIP - Sending BYE to terminate call...')
-      const response = this.sipSession
-      const request = {
-        method: 'BYE',
-        uri: response.headers.contact[0].uri,
-        headers: {
-          to: response.headers.to,
-          from: response.headers.from,
-          'call-id': response.headers['call-id'],
-          cseq: { method: 'BYE', seq: response.headers.cseq.seq + 1 },
-          via: response.headers.via
-        }
-      }
-      sipLib.send(request)
+    for (const call of [...this.calls.values()]) {
+      call.endCall()
     }
-    // If we have an INVITE in progress, send CANCEL
-    else if (this.inviteRequest) {
-      console.log('SIP - Sending CANCEL to terminate call...')
-      const response = this.inviteRequest
-      const request = {
-        method: 'CANCEL',
-        uri: response.uri,
-        headers: {
-          to: response.headers.to,
-          from: response.headers.from,
-          'call-id': response.headers['call-id'],
-          cseq: { method: 'CANCEL', seq: response.headers.cseq.seq + 1 },
-          via: response.headers.via
-        }
-      }
-      sipLib.send(request)
+
+    if (this.keepaliveInterval) {
+      clearInterval(this.keepaliveInterval)
+      this.keepaliveInterval = null
     }
 
     // Unregister (send REGISTER with Expires=0)
-    if (this.registerInterval) {
-      clearInterval(this.registerInterval)
-      this.registerInterval = null
-
-      // Optional: Send a REGISTER to remove our contact
-      const unregisterRequest = {
-        method: 'REGISTER',
-        uri: `sip:${SIP_DOMAIN}`,
-        headers: {
-          to: { uri: `sip:${SIP_USER}@${SIP_DOMAIN}` },
-          from: {
-            uri: `sip:${SIP_USER}@${SIP_DOMAIN}`,
-            params: { tag: rstring() }
-          },
-          'call-id': rstring(),
-          cseq: { method: 'REGISTER', seq: 1 },
-          contact: [{
-            uri: `sip:${SIP_USER}@${LOCAL_IP}:${LOCAL_SIP_PORT}`,
-            params: { expires: 0 }
-          }],
-          'max-forwards': 70,
-          'Expires': 0
-        }
-      }
-
-      const sendUnregister = (req) => {
-        sipLib.send(req, (response) => {
-          if (response.status === 401 && response.headers['www-authenticate']) {
-            console.log('SIP - Unregister unauthorized. Retrying with Digest Authentication...')
-            this._retryWithDigestAuth(
-              req,
-              response,
-              'SIP - Unregister success (after auth).',
-              'SIP - Unregister failed:',
-              () => { }
-            )
-          } else if (response.status >= 200 && response.status < 300) {
+    const registration = this.registration
+    if (registration) {
+      this.registration = null
+      clearTimeout(this.registerTimer)
+      clearTimeout(this.expireTimer)
+      this.registerTimer = this.expireTimer = null
+
+      const sendUnregister = (retries = 0) => {
+        const request = this._createRegister(registration, 0)
+        sipLib.send(request, (response) => {
+          if (response.status < 200) return
+          if ((response.status === 401 || response.status === 407) && this.authenticate(request, response, retries)) {
+            sendUnregister(retries + 1)
+          } else if (response.status < 300) {
             console.log('SIP - Unregister success.')
           } else {
             console.error(`SIP - Unregister failed: ${response.status} ${response.reason}`)
@@ -258,46 +256,83 @@ class Sip extends EventEmitter {
         })
       }
 
-      sendUnregister(unregisterRequest)
-    }
-
-    // Close the UDP socket
-    if (this.udp) {
-      this.udp.close()
-      this.udp = null
-    }
-    if (this.udpVideo) {
-      this.udpVideo.close()
-      this.udpVideo = null
+      sendUnregister()
+      this.registeredUntil = null
+      this._setRegistered(false)
     }
-    this.sipSession = null
-    this.inviteRequest = null
   }
 
-  pipeAudio(ring) {
-    this.udp.on('message', (message) => {
-      const rtpPacket = RtpPacket.deSerialize(message)
-      ring.sendAudioPacket(rtpPacket, false)
+  /**
+   * Send a request of ours: with the outbound proxy's Route, signed with the digest sessions
+   * we have (nonce reuse). A 401/407 is answered by sending the request again with the next
+   * CSeq, taken from `dialog` for in-dialog requests. `callback` gets all other responses.
+   */
+  sendRequest(request, callback = () => {}, dialog = null) {
+    this._route(request)
+    this.authorize(request)
+
+    let retries = 0
+    const send = () => sipLib.send(request, (response) => {
+      if ((response.status === 401 || response.status === 407) && this.authenticate(request, response, retries)) {
+        retries++
+        request.headers.cseq.seq = dialog ? ++dialog.localSeq : request.headers.cseq.seq + 1
+        request.headers.via = []
+        this.authorize(request)
+        send()
+        return
+      }
+      this._updateNonce(request, response)
+      callback(response)
     })
+    send()
   }
 
-  sendAudioPacket(rtp, isTone = false) {
-    if (!this.serverRtpInfo || !this.serverRtpInfo.audio) return
-
-    // Use RtpSequencer to decide if we drop or forward
-    const shouldForward = this.rtpSequencer.process(rtp, isTone)
-    if (!shouldForward) return
+  /**
+   * Take the digest challenges of a 401/407 to `request` into our sessions, one per realm
+   * and scope (see authScope()). Returns false if there is nothing we can answer, or the
+   * credentials were rejected: after `retries` challenges, the request only tries again if
+   * the nonce was stale.
+   */
+  authenticate(request, response, retries = 0) {
+    const proxy = response.status === 407
+    const scope = authScope(request, proxy)
+    const method = response.headers.cseq?.method
+    const challenges = (response.headers[proxy ? 'proxy-authenticate' : 'www-authenticate'] || [])
+      .filter(challenge => challenge.scheme?.toLowerCase() === 'digest')
+    const stale = challenges.some(challenge => unquote(challenge.stale)?.toLowerCase() === 'true')
+
+    if (challenges.length && (retries >= MAX_AUTH_RETRIES || (retries > 0 && !stale))) {
+      console.error(`SIP - ${method} rejected our credentials (${response.status}). Check SIP_AUTH_USER and SIP_PASS.`)
+      for (const challenge of challenges) this.authSessions.delete(authKey(proxy, scope, unquote(challenge.realm)))
+      return false
+    }
 
-    rtp.header.payloadType = this.serverRtpInfo.audio.payloadType
-    this.udp.send(rtp.serialize(), this.serverRtpInfo.audio.port, this.serverRtpInfo.audio.destination)
+    let answered = false
+    for (const challenge of challenges) {
+      const session = createAuthSession(challenge, proxy, scope, this.credentials)
+      if (!session) {
+        console.error(`SIP - Can't answer the ${unquote(challenge.algorithm)} challenge of realm ${unquote(challenge.realm)}`)
+        continue
+      }
+      this.authSessions.set(authKey(proxy, scope, session.realm), session)
+      answered = true
+    }
+    if (answered) {
+      console.log(`SIP - ${method} challenged (${response.status}${stale ? ', stale nonce' : ''}). Retrying with Digest Authentication...`)
+    }
+    return answered
   }
 
-  sendVideoPacket(rtp) {
-    if (!this.serverRtpInfo || !this.serverRtpInfo.video) return
-
-    rtp.header.payloadType = this.serverRtpInfo.video.payloadType
-    // Video doesn't use the sequencer logic usually, just forward
-    this.udpVideo.send(rtp.serialize(), this.serverRtpInfo.video.port, this.serverRtpInfo.video.destination)
+  /**
+   * Sign the request with the digest sessions in its scope: the server it is addressed to,
+   * the proxy it goes through. Their nonces are reused, the nonce count goes up, until the
+   * server challenges again. ACK and CANCEL can't be challenged.
+   */
+  authorize(request) {
+    if (['ACK', 'CANCEL'].includes(request.method)) return
+    for (const session of this._sessionsFor(request)) {
+      digest.signRequest(session, request)
+    }
   }
 
   //--------------------------------------------------------------------------
@@ -305,267 +340,284 @@ class Sip extends EventEmitter {
   //--------------------------------------------------------------------------
 
   /**
-   * Centralized method to handle 401 + Digest Authentication
+   * A REGISTER of our binding, routed and signed like every request (see sendRequest()).
+   * Every REGISTER is a new request object: the stack adds a Via to whatever it sends.
    */
-  _retryWithDigestAuth(request, response, successLog, errorLog, callback) {
-    console.log('SIP - Unauthorized (401). Retrying with Digest Authentication...')
-    digest.signRequest(this.authSession, request, response, {
-      user: SIP_USER,
-      password: SIP_PASS
-    })
-    request.headers.cseq.seq += 1
-
-    sipLib.send(request, (authResp) => {
-      if (authResp.status >= 100 && authResp.status < 300) {
-        console.log(successLog)
-      } else {
-        console.error(`${errorLog} ${authResp.status} ${authResp.reason}`)
+  _createRegister(registration, expires) {
+    const request = {
+      method: 'REGISTER',
+      uri: `sip:${SIP_DOMAIN}`,
+      headers: {
+        to: { uri: `sip:${SIP_USER}@${SIP_DOMAIN}` },
+        from: {
+          uri: `sip:${SIP_USER}@${SIP_DOMAIN}`,
+          params: { tag: registration.fromTag }
+        },
+        'call-id': registration.callId,
+        cseq: { method: 'REGISTER', seq: ++registration.cseq },
+        contact: [{
+          uri: nat.contactUri(SIP_USER),
+          params: { expires }
+        }],
+        'max-forwards': 70,
+        'user-agent': 'SipToRing/1.0',
+        'Expires': expires
       }
-      callback(authResp)
-    })
+    }
+    this._route(request)
+    this.authorize(request)
+    return request
   }
 
-  _handleBye(request) {
-    const ourCallId = this.sipSession?.headers['call-id']
-    const receivedCallId = request.headers['call-id']
-
-    sipLib.send(sipLib.makeResponse(request, 200, 'OK'))
-
-    if (ourCallId && receivedCallId && ourCallId === receivedCallId) {
-      console.log('SIP - Received BYE for our call. Sending 200 OK, ending call.')
-      this.sipSession = null
-      this.emit('callEnded')
-    } else {
-      console.log('SIP - Received BYE with mismatched or missing call-id. Ignoring.')
-    }
+  _sendRegister(retries = 0) {
+    clearTimeout(this.registerTimer)
+    this.registerTimer = null
+    const registration = this.registration
+    const request = this._createRegister(registration, registration.expires)
+    sipLib.send(request, (response) => this._handleRegisterResponse(registration, request, response, retries))
   }
 
   /**
-   * Handle inbound INVITE. We'll auto-answer only if OPUS is offered.
-   * If OPUS is not found, reject with 488 Not Acceptable Here.
+   * 401/407 is answered with new credentials (see authenticate()), 423 raises the expiry we ask for to Min-Expires.
+   * Success schedules the refresh, failure a retry with exponential backoff. A failed
+   * refresh leaves us registered until the binding expires.
    */
-  _handleInboundInvite(request) {
-    const receivedCallId = request.headers['call-id']
-    const isReInvite = this.sipSession && this.sipSession.headers['call-id'] === receivedCallId
+  _handleRegisterResponse(registration, request, response, retries) {
+    // Provisional, or unregistered meanwhile
+    if (response.status < 200 || registration !== this.registration) return
 
-    if (this.initiatingCall && !isReInvite) {
-      console.log('SIP - Ignoring inbound INVITE (already in a call/initiating and Call-ID does not match)')
+    if ((response.status === 401 || response.status === 407) && this.authenticate(request, response, retries)) {
+      this._sendRegister(retries + 1)
       return
     }
-    this.initiatingCall = true
-
-    if (isReInvite) {
-      console.log('SIP - Received Re-INVITE. Responding with 200 OK.')
-      // Update SDP info?
-      const remoteSdp = request.content || ''
-      this.serverRtpInfo = this._parseRemoteSdp(remoteSdp) || this.serverRtpInfo
-
-      const okResponse = sipLib.makeResponse(request, 200, 'OK')
-      okResponse.headers['content-type'] = 'application/sdp'
-      okResponse.content = this._buildLocalSdp(Date.now()) // Send our SDP again
-      sipLib.send(okResponse)
+    this._updateNonce(request, response)
+
+    const minExpires = parseInt(response.headers['min-expires'])
+    if (response.status === 423 && minExpires > registration.expires) {
+      console.log(`SIP - REGISTER interval too brief, registering for ${minExpires}s instead.`)
+      registration.expires = minExpires
+      this._sendRegister()
       return
     }
 
-    console.log('SIP - Inbound call, checking offered codecs...')
-
-    // Keep track of this call to handle BYE properly
-    this.currentCallId = request.headers['call-id']
-
-    // Parse the remote SDP
-    const remoteSdp = request.content || ''
-    const remoteInfo = this._parseRemoteSdp(remoteSdp)
-
-    if (!remoteInfo || !remoteInfo.audio) {
-      // No OPUS found, reject
-      console.log('SIP - Remote did not offer OPUS. Rejecting call.')
-      const response = sipLib.makeResponse(request, 488, 'Not Acceptable Here')
-      sipLib.send(response)
+    if (response.status >= 300) {
+      console.error(`SIP - REGISTER failed: ${response.status} ${response.reason}`)
+      this._registerResult(response)
+      this._retryRegister()
       return
     }
 
-    // Store the server RTP info so we can send audio to them
-    this.serverRtpInfo = remoteInfo
-
-    // Send 100 Trying
-    sipLib.send(sipLib.makeResponse(request, 100, 'Trying'))
-
-    this.emit('inboundCall')
+    const expires = this._grantedExpires(response, registration)
+    this.registeredUntil = new Date(Date.now() + expires * 1000).toISOString()
+    this.registerRetries = 0
+    this._registerResult(response)
 
-    // Optional: Send 180 Ringing if you want to simulate "ringing"
-    sipLib.send(sipLib.makeResponse(request, 180, 'Ringing'))
-
-    console.log('SIP - Offering 200 OK with local OPUS SDP...')
+    // Behind NAT the registrar tells us our public address, register again if it changed
+    if (nat.learnFromVia(response.headers.via?.[0])) {
+      // The Via keeps LOCAL_SIP_PORT, with rport the registrar answers to the public port anyway
+      this.stackOptions.publicAddress = nat.sipAddress
+      this._sendRegister()
+      return
+    }
 
-    // Build 200 OK with local SDP
-    const sessionId = Date.now()
-    const okResponse = sipLib.makeResponse(request, 200, 'OK')
-    okResponse.headers['content-type'] = 'application/sdp'
-    okResponse.content = this._buildLocalSdp(sessionId)
+    const refresh = Math.max(expires / 2, expires - REGISTER_REFRESH_MARGIN)
+    console.log(`SIP - REGISTER success. Registered for ${expires}s, refreshing in ${Math.round(refresh)}s.`)
+    clearTimeout(this.expireTimer)
+    this.expireTimer = setTimeout(() => {
+      console.error('SIP - Registration expired.')
+      this.expireTimer = null
+      this.registeredUntil = null
+      this._setRegistered(false)
+    }, expires * 1000)
+    this.registerTimer = setTimeout(() => this._sendRegister(), refresh * 1000)
+  }
 
-    sipLib.send(okResponse)
+  /**
+   * The expiry of our binding the registrar granted: the expires param of our Contact in
+   * the 200 OK, or its Expires header, or what we asked for
+   */
+  _grantedExpires(response, registration) {
+    const ours = sipLib.parseUri(nat.contactUri(SIP_USER))
+    const contact = (response.headers.contact || []).find(({ uri }) => {
+      const theirs = sipLib.parseUri(uri)
+      return theirs?.user === ours.user && theirs.host === ours.host && parseInt(theirs.port || 5060) === parseInt(ours.port)
+    })
+    const expires = parseInt(contact?.params?.expires ?? response.headers.expires)
+    return expires > 0 ? expires : registration.expires
+  }
 
-    this.sipSession = okResponse
+  _retryRegister() {
+    this.registerRetries++
+    const backoff = Math.min(REGISTER_RETRY_MAX, REGISTER_RETRY_MIN * 2 ** (this.registerRetries - 1))
+    // Jitter, so not every client of a restarted PBX comes back at the same time
+    const delay = backoff * (0.8 + Math.random() * 0.4)
+    console.log(`SIP - Retrying REGISTER in ${Math.round(delay)}s.`)
+    this.registerTimer = setTimeout(() => this._sendRegister(), delay * 1000)
+  }
 
-    // The inbound call is now "established" from our perspective
-    // (SIP library will handle the ACK check behind the scenes)
+  /**
+   * Requests go through SIP_OUTBOUND_PROXY, unless they have a route set (dialog with Record-Route)
+   */
+  _route(request) {
+    if (this.outboundProxy && !request.headers.route?.length) {
+      request.headers.route = [{ uri: this.outboundProxy }]
+    }
+  }
 
-    this.emit('callEstablished', this.serverRtpInfo)
+  _sessionsFor(request) {
+    const scopes = { www: authScope(request, false), proxy: authScope(request, true) }
+    return [...this.authSessions.values()].filter(session => session.scope === scopes[session.proxy ? 'proxy' : 'www'])
   }
 
-  _handleInviteResponse(response) {
-    if (!this.inviteRequest) return
-
-    // 401 => unauthorized, re-send with Digest
-    if (response.status === 401 && response.headers['www-authenticate']) {
-      this._retryWithDigestAuth(
-        this.inviteRequest,
-        response,
-        'SIP - INVITE success (after auth).',
-        'SIP - INVITE failed:',
-        (authResp) => this._handleInviteResponse(authResp)
-      )
-      return
+  /**
+   * (Proxy-)Authentication-Info with a nextnonce: the next request to that server or proxy
+   * uses that one (RFC 2617 section 3.2.3)
+   */
+  _updateNonce(request, response) {
+    const nextnonces = {
+      www: parseNextNonce(response.headers['authentication-info']),
+      proxy: parseNextNonce(response.headers['proxy-authentication-info'])
     }
-    else if (response.status >= 100 && response.status < 200) {
-      // Provisional responses
-      if (response.status === 180) {
-        this.emit('ringing')
-      }
+    for (const session of this._sessionsFor(request)) {
+      const nextnonce = nextnonces[session.proxy ? 'proxy' : 'www']
+      if (!nextnonce || session.nonce === nextnonce) continue
+      session.nonce = nextnonce
+      if (session.qop) session.nc = 0
+      if (session.algorithm?.toLowerCase() === 'md5-sess') session.ha1 = digest.kd(session.userhash, nextnonce, session.cnonce)
+    }
+  }
+
+  _registerResult(response) {
+    this.lastRegister = { status: response.status, reason: response.reason, time: new Date().toISOString() }
+    if (response.status < 300) {
+      this._setRegistered(true)
+    } else {
+      registerFailures.inc({ status: response.status })
+      // Still registered if an earlier binding is still valid (the expiry timer ends it)
+      if (!this.expireTimer) this._setRegistered(false)
     }
-    else if (response.status >= 200 && response.status < 300) {
-      console.log(`SIP - Call established: ${response.status} ${response.reason}`)
-      this.sipSession = response
+  }
 
-      // Parse SDP from the response
-      this.serverRtpInfo = this._parseRemoteSdp(response.content)
+  /**
+   * Emits 'registered' or 'unregistered' when the registration state changes
+   */
+  _setRegistered(registered) {
+    if (this.registered === registered) return
+    this.registered = registered
+    this.emit(registered ? 'registered' : 'unregistered')
+  }
 
-      // Send ACK
-      sipLib.send({
-        method: 'ACK',
-        uri: response.headers.contact[0].uri,
+  /**
+   * Keep the NAT binding of the SIP port open between calls with an OPTIONS ping to the registrar
+   */
+  _startKeepalive() {
+    const interval = nat.keepaliveInterval
+    if (!interval || this.keepaliveInterval) return
+
+    console.log(`SIP - Sending NAT keepalives every ${interval}s`)
+    this.keepaliveInterval = setInterval(() => {
+      this.sendRequest({
+        method: 'OPTIONS',
+        uri: `sip:${SIP_DOMAIN}`,
         headers: {
-          to: response.headers.to,
-          from: response.headers.from,
-          'call-id': response.headers['call-id'],
-          cseq: { method: 'ACK', seq: response.headers.cseq.seq },
-          via: response.headers.via
+          to: { uri: `sip:${SIP_DOMAIN}` },
+          from: {
+            uri: `sip:${SIP_USER}@${SIP_DOMAIN}`,
+            params: { tag: rstring() }
+          },
+          'call-id': rstring(),
+          cseq: { method: 'OPTIONS', seq: 1 },
+          contact: [{ uri: nat.contactUri(SIP_USER) }],
+          'max-forwards': 70
+        }
+      }, (response) => {
+        if (response.status >= 300) {
+          console.error(`SIP - Keepalive failed: ${response.status} ${response.reason}`)
         }
       })
+    }, interval * 1000)
+  }
+
+  _handleRequest(request, remote) {
+    const call = this.calls.get(request.headers['call-id'])
+    if (!security.accept(request, remote, !!call)) return
 
-      // Let others know we've established the call
-      this.emit('callEstablished', this.serverRtpInfo)
+    if (request.method === 'BYE') {
+      if (call) {
+        call.handleBye(request)
+      } else {
+        console.log('SIP - Received BYE with unknown call-id. Ignoring.')
+        sipLib.send(sipLib.makeResponse(request, 200, 'OK'))
+      }
     }
-    else {
-      console.error(`SIP - Call failed: ${response.status} ${response.reason}`, response)
-      this.inviteRequest = null
-      this.emit('callFailed', { status: response.status, reason: response.reason })
+    else if (request.method === 'INVITE') {
+      if (call) {
+        call.handleInvite(request).catch(err => console.error('SIP - Error handling re-INVITE:', err))
+      } else {
+        this._handleNewInvite(request)
+      }
+    }
+    else if (request.method === 'ACK') {
+      if (call) call.handleAck(request)
+    }
+    else if (request.method === 'CANCEL') {
+      if (call) {
+        call.handleCancel(request)
+      } else {
+        sipLib.send(sipLib.makeResponse(request, 481, 'Call/Transaction Does Not Exist'))
+      }
+    }
+    else if (request.method === 'UPDATE') {
+      if (call) {
+        call.handleUpdate(request)
+      } else {
+        sipLib.send(sipLib.makeResponse(request, 481, 'Call/Transaction Does Not Exist'))
+      }
+    }
+    else if (request.method === 'INFO') {
+      if (call) {
+        call.handleInfo(request)
+      } else {
+        sipLib.send(sipLib.makeResponse(request, 200, 'OK'))
+      }
+    }
+    else if (request.method === 'OPTIONS') {
+      const response = sipLib.makeResponse(request, 200, 'OK')
+      sipLib.send(response)
     }
   }
 
   /**
-   * Parse the remote SDP, find if OPUS/H264 is offered.
+   * A new inbound call. Pick the camera from the Request-URI user: either a camera's
+   * inboundUser, or our own SIP_USER which maps to the first configured camera.
+   * A camera's voicemail.inboundUser gets 'mailboxCall' instead of 'inboundCall'.
    */
-  _parseRemoteSdp(sdp) {
-    if (!sdp) return null
-
-    const lines = sdp.split('\n').map(l => l.trim())
-    const result = { audio: null, video: null }
-
-    // extract global connection IP
-    let globalIp = '127.0.0.1'
-    const cLine = lines.find(line => line.startsWith('c=IN IP4'))
-    if (cLine) {
-      const cMatch = cLine.match(/c=IN IP4\s+(\S+)/)
-      if (cMatch) globalIp = cMatch[1]
-    }
-
-    // --- AUDIO (OPUS) ---
-    const mAudioLine = lines.find(line => line.startsWith('m=audio'))
-    if (mAudioLine) {
-      const match = mAudioLine.match(/m=audio\s+(\d+)\s+RTP\/\S+\s+(.+)/)
-      if (match) {
-        const port = parseInt(match[1], 10)
-        const payloadTypes = match[2].split(' ').map(n => parseInt(n, 10))
-        let destination = globalIp
-
-        // Check for media-level c= line (simplified, assumes it follows in upcoming lines if parsing sequentially, 
-        // but here we just use global or look for closer one? 
-        // For simplicity, sticking to global or re-scanning if needed. 
-        // Standard robust parsing is harder, but global IP is 99% case.)
-
-        // Search for OPUS
-        let opusPayloadType = null
-        lines.forEach(line => {
-          if (line.startsWith('a=rtpmap:')) {
-            const rtpmapMatch = line.match(/a=rtpmap:(\d+)\s+([\w\-\.]+)/)
-            if (!rtpmapMatch) return
-            const pt = parseInt(rtpmapMatch[1], 10)
-            const codec = rtpmapMatch[2].toUpperCase()
-            if (codec.includes('OPUS') && payloadTypes.includes(pt)) {
-              opusPayloadType = pt
-            }
-          }
-        })
-
-        if (opusPayloadType) {
-          console.log(`SIP - Found Remote Audio: ${destination}:${port} PT=${opusPayloadType}`)
-          result.audio = { destination, port, payloadType: opusPayloadType }
-        }
-      }
+  _handleNewInvite(request) {
+    // The voicemail box of a camera, see Bridge.openMailbox()
+    const user = sipLib.parseUri(request.uri)?.user
+    const mailbox = user && cameraConfigs.find(config => config.voicemail?.inboundUser === user)
+    if (mailbox) {
+      this.emit('mailboxCall', this.createCall(mailbox, request.headers['call-id']), request)
+      return
     }
 
-    // --- VIDEO (H264) ---
-    const mVideoLine = lines.find(line => line.startsWith('m=video'))
-    if (mVideoLine) {
-      const match = mVideoLine.match(/m=video\s+(\d+)\s+RTP\/\S+\s+(.+)/)
-      if (match) {
-        const port = parseInt(match[1], 10)
-        const payloadTypes = match[2].split(' ').map(n => parseInt(n, 10))
-        const destination = globalIp
-
-        let h264PayloadType = null
-        lines.forEach(line => {
-          if (line.startsWith('a=rtpmap:')) {
-            const rtpmapMatch = line.match(/a=rtpmap:(\d+)\s+([\w\-\.]+)/)
-            if (!rtpmapMatch) return
-            const pt = parseInt(rtpmapMatch[1], 10)
-            const codec = rtpmapMatch[2].toUpperCase()
-            // Match H264 or H.264
-            if ((codec.includes('H264') || codec.includes('H.264')) && payloadTypes.includes(pt)) {
-              h264PayloadType = pt
-            }
-          }
-        })
-
-        if (h264PayloadType) {
-          console.log(`SIP - Found Remote Video: ${destination}:${port} PT=${h264PayloadType}`)
-          result.video = { destination, port, payloadType: h264PayloadType }
-        }
-      }
+    const cameraConfig = this._findInboundCamera(request)
+    if (!cameraConfig) {
+      console.log(`SIP - Inbound INVITE for unknown user ${sipLib.parseUri(request.uri).user}. Rejecting.`)
+      sipLib.send(sipLib.makeResponse(request, 404, 'Not Found'))
+      return
     }
 
-    return (result.audio || result.video) ? result : null
+    const call = this.createCall(cameraConfig, request.headers['call-id'])
+    this.emit('inboundCall', call, request)
   }
 
-  _buildLocalSdp(sessionId) {
-    return [
-      'v=0',
-      `o=- ${sessionId} ${sessionId} IN IP4 ${LOCAL_IP}`,
-      's=-',
-      `c=IN IP4 ${LOCAL_IP}`,
-      't=0 0',
-      'm=audio 8000 RTP/AVP 96',
-      'a=rtpmap:96 OPUS/48000/2',
-      'a=fmtp:96 useinbandfec=1;minptime=10',
-      'a=ptime:20',
-      'a=maxptime:150',
-      'a=sendrecv',
-      'm=video ' + LOCAL_VIDEO_PORT + ' RTP/AVP 99',
-      'a=rtpmap:99 H264/90000',
-      'a=fmtp:99 packetization-mode=1;profile-level-id=42e01f',
-      'a=sendrecv',
-    ].join('\r\n') + '\r\n';
+  _findInboundCamera(request) {
+    const user = sipLib.parseUri(request.uri)?.user
+    const byUser = cameraConfigs.find(config => config.inboundUser && config.inboundUser === user)
+    if (byUser) return byUser
+    if (user === SIP_USER) return cameraConfigs[0]
+    return null
   }
 }
 
@@ -0,0 +1,126 @@
+import fs from 'fs'
+import path from 'path'
+import { randomBytes } from 'crypto'
+import { createSocket } from 'dgram'
+import { FfmpegProcess, reservePorts } from '@homebridge/camera-utils'
+import { slug } from './util.js'
+
+const { LOCAL_IP, API_PORT } = process.env
+
+// Give up on a snapshot after this time (ms)
+const SNAPSHOT_TIMEOUT = 10000
+
+// A 1x1 JPEG for the fake source
+const FAKE_JPEG = Buffer.from('/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxD/2Q==', 'base64')
+
+function withTimeout(promise, what) {
+  let timeout
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timeout = setTimeout(() => reject(new Error(`${what} timed out`)), SNAPSHOT_TIMEOUT)
+    })
+  ]).finally(() => clearTimeout(timeout))
+}
+
+/**
+ * Grabs one JPEG from the H.264 video of a live Ring call with FFmpeg
+ */
+async function grabVideoFrame(ringCall) {
+  const [port] = await reservePorts({ count: 2 })
+  const udp = createSocket('udp4')
+  let ffmpegProcess = null
+
+  const onVideo = (rtp) => {
+    const packet = rtp.serialize()
+    packet[1] = (packet[1] & 0x80) | 96
+    udp.send(packet, port, '127.0.0.1')
+  }
+
+  const frame = new Promise((resolve, reject) => {
+    const sdp = [
+      'v=0',
+      'o=- 0 0 IN IP4 127.0.0.1',
+      's=ring2sip snapshot',
+      'c=IN IP4 127.0.0.1',
+      't=0 0',
+      `m=video ${port} RTP/AVP 96`,
+      'a=rtpmap:96 H264/90000',
+      'a=fmtp:96 packetization-mode=1',
+    ].join('\r\n') + '\r\n'
+
+    const chunks = []
+    ffmpegProcess = new FfmpegProcess({
+      ffmpegArgs: [
+        '-hide_banner',
+        '-protocol_whitelist', 'pipe,udp,rtp,file,crypto',
+        '-f', 'sdp',
+        '-i', 'pipe:',
+        '-frames:v', '1',
+        '-f', 'image2',
+        '-vcodec', 'mjpeg',
+        'pipe:1',
+      ],
+      stdoutCallback: data => chunks.push(data),
+      exitCallback: () => {
+        ffmpegProcess = null
+        if (chunks.length) resolve(Buffer.concat(chunks))
+        else reject(new Error('FFmpeg exited without a frame'))
+      }
+    })
+    ffmpegProcess.writeStdin(sdp)
+  })
+
+  ringCall.on('video', onVideo)
+  // The frame needs the next key frame
+  ringCall.requestKeyFrame()
+
+  return withTimeout(frame, 'Video frame').finally(() => {
+    ringCall.off('video', onVideo)
+    ffmpegProcess?.stop()
+    udp.close()
+  })
+}
+
+/**
+ * The JPEG of a camera from the configured source (see `snapshot` in config.json):
+ * 'ring' (a Ring snapshot), 'video' (a frame of the live call), 'auto' (Ring, then the video)
+ * or 'fake' (a fixed JPEG, for testing without a camera)
+ */
+async function captureImage(snapshotConfig, camera, ringCall) {
+  switch (snapshotConfig.source) {
+    case 'fake':
+      return snapshotConfig.fakeImage ? fs.promises.readFile(snapshotConfig.fakeImage) : FAKE_JPEG
+    case 'ring':
+      return withTimeout(camera.getSnapshot(), 'Ring snapshot')
+    case 'video':
+      if (!ringCall) throw new Error('No live call to take a frame from')
+      return grabVideoFrame(ringCall)
+    default:
+      try {
+        return await withTimeout(camera.getSnapshot(), 'Ring snapshot')
+      } catch (err) {
+        if (!ringCall) throw err
+        console.log(`SNAPSHOT - Ring snapshot failed (${err.message}), taking a frame of the live call`)
+        return grabVideoFrame(ringCall)
+      }
+  }
+}
+
+/**
+ * Take a snapshot and store it in the snapshot dir. Resolves with { path, url }, the url
+ * is served by the HTTP API (see api.js) and null without one.
+ */
+export async function saveSnapshot(snapshotConfig, camera, ringCall = null) {
+  const image = await captureImage(snapshotConfig, camera, ringCall)
+
+  await fs.promises.mkdir(snapshotConfig.dir, { recursive: true })
+  // The random part keeps the URL from being guessed, it works without the API token
+  const time = new Date().toISOString().replace(/[:.]/g, '-')
+  const name = `${slug(camera.name)}_${time}_${randomBytes(8).toString('hex')}.jpg`
+  const file = path.join(snapshotConfig.dir, name)
+  await fs.promises.writeFile(file, image)
+
+  const baseUrl = snapshotConfig.baseUrl || (API_PORT ? `http://${LOCAL_IP}:${API_PORT}` : null)
+  return { path: file, url: baseUrl ? `${baseUrl}/snapshots/${name}` : null }
+}
@@ -0,0 +1,99 @@
+import { randomBytes } from 'crypto'
+
+// RFC 5389
+const BINDING_REQUEST = 0x0001
+const BINDING_SUCCESS = 0x0101
+const MAGIC_COOKIE = 0x2112a442
+const ATTR_MAPPED_ADDRESS = 0x0001
+const ATTR_XOR_MAPPED_ADDRESS = 0x0020
+
+/**
+ * True if the datagram is a STUN message rather than RTP/RTCP.
+ * STUN starts with two zero bits, RTP with version 2 (0b10).
+ */
+export function isStunMessage(message) {
+  return message.length >= 20 && (message[0] & 0xc0) === 0 && message.readUInt32BE(4) === MAGIC_COOKIE
+}
+
+/**
+ * Send a STUN Binding Request from `socket` and resolve with the public
+ * { address, port } the STUN server saw. The socket must already be bound.
+ */
+export function stunRequest(socket, server, timeout = 2000) {
+  const [host, port = '3478'] = server.split(':')
+  const transactionId = randomBytes(12)
+
+  const request = Buffer.alloc(20)
+  request.writeUInt16BE(BINDING_REQUEST, 0)
+  request.writeUInt16BE(0, 2)
+  request.writeUInt32BE(MAGIC_COOKIE, 4)
+  transactionId.copy(request, 8)
+
+  return new Promise((resolve, reject) => {
+    let attempts = 0
+    let retransmit = null
+
+    const finish = (err, result) => {
+      clearTimeout(timer)
+      clearInterval(retransmit)
+      socket.removeListener('message', onMessage)
+      if (err) reject(err)
+      else resolve(result)
+    }
+
+    const onMessage = (message) => {
+      if (!isStunMessage(message) || !message.subarray(8, 20).equals(transactionId)) return
+      if (message.readUInt16BE(0) !== BINDING_SUCCESS) {
+        return finish(new Error(`STUN - Binding request to ${server} failed`))
+      }
+      let mapped
+      try {
+        mapped = parseMappedAddress(message)
+      } catch (err) {
+        return finish(new Error(`STUN - Malformed response from ${server}: ${err.message}`))
+      }
+      if (mapped) finish(null, mapped)
+      else finish(new Error(`STUN - No mapped address in response from ${server}`))
+    }
+
+    const timer = setTimeout(() => finish(new Error(`STUN - No response from ${server}`)), timeout)
+    socket.on('message', onMessage)
+
+    // UDP, so retransmit a few times
+    const send = () => {
+      if (attempts++ < 4) socket.send(request, parseInt(port, 10), host)
+    }
+    send()
+    retransmit = setInterval(send, timeout / 4)
+  })
+}
+
+function parseMappedAddress(message) {
+  // Don't trust the header length beyond what we actually received
+  const end = Math.min(20 + message.readUInt16BE(2), message.length)
+  let offset = 20
+  let mapped = null
+
+  while (offset + 4 <= end) {
+    const type = message.readUInt16BE(offset)
+    const attrLength = message.readUInt16BE(offset + 2)
+    const value = message.subarray(offset + 4, Math.min(offset + 4 + attrLength, end))
+
+    // IPv4 only (family 0x01), which takes 8 bytes
+    if (value.length >= 8 && value[1] === 0x01 && (type === ATTR_XOR_MAPPED_ADDRESS || type === ATTR_MAPPED_ADDRESS)) {
+      let port = value.readUInt16BE(2)
+      let address = value.readUInt32BE(4)
+      if (type === ATTR_XOR_MAPPED_ADDRESS) {
+        port ^= MAGIC_COOKIE >>> 16
+        address = (address ^ MAGIC_COOKIE) >>> 0
+      }
+      mapped = { address: [24, 16, 8, 0].map(shift => (address >>> shift) & 0xff).join('.'), port }
+      // XOR-MAPPED-ADDRESS wins, some old servers only send MAPPED-ADDRESS
+      if (type === ATTR_XOR_MAPPED_ADDRESS) return mapped
+    }
+
+    // Attributes are padded to 4 bytes
+    offset += 4 + Math.ceil(attrLength / 4) * 4
+  }
+  return mapped
+}
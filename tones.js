@@ -2,34 +2,74 @@ import { createSocket } from "dgram";
 import { RtpPacket } from 'werift';
 import { FfmpegProcess } from '@homebridge/camera-utils';
 
-class Tones {
-  constructor() {
+/**
+ * Ringback and hangup tones for one call. The tone set (file names) comes from the camera config.
+ */
+export default class Tones {
+  constructor(toneSet) {
+    this.toneSet = toneSet;
     this.sip = null;
     this.ring = null;
     this.isSipReady = false;
     this.isSipRinging = false;
     this.isRingReady = false;
-    this.udp = createSocket('udp4');
+    this.udp = null;
     this.ffmpegProcess = null;
+    this.prompt = null; // the legs a prompt is played to, see playFile()
+  }
 
-    this.udp.bind(0, () => {
-      console.log(`TONES - RTP socket bound to port ${this.getPort()}`);
-    });
+  // For the status API
+  get state() {
+    return {
+      sipRinging: this.isSipRinging,
+      sipReady: this.isSipReady,
+      ringReady: this.isRingReady,
+      playing: this.prompt ? 'prompt' : this.ffmpegProcess ? 'tone' : null
+    };
+  }
+
+  /**
+   * Open the RTP socket FFmpeg streams the tones into. Called at the start of every call,
+   * the socket is closed again by endCall().
+   */
+  startCall() {
+    if (this.udp) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.udp = createSocket('udp4');
 
-    this.udp.on('message', (message, rinfo) => {
-      if (this.isSipReady || this.isRingReady) {
-        const rtpPacket = RtpPacket.deSerialize(message);
-        if (this.isSipReady) {
-          this.sip.sendAudioPacket(rtpPacket, true);
+      this.udp.bind(0, () => {
+        console.log(`TONES - RTP socket bound to port ${this.getPort()}`);
+        // A leg may have become ready while we were binding
+        if (this.isSipReady || this.isRingReady) {
+          this.manageFfmpegProcess();
         }
-        if (this.isRingReady) {
-          this.ring.sendAudioPacket(rtpPacket, true);
+        resolve();
+      });
+
+      this.udp.on('message', (message, rinfo) => {
+        if (this.prompt) {
+          const rtpPacket = RtpPacket.deSerialize(message);
+          if (this.prompt.sip) this.sip.sendPromptPacket(rtpPacket);
+          if (this.prompt.ring) this.ring.sendPromptPacket(RtpPacket.deSerialize(message));
+        } else if (this.isSipReady || this.isRingReady) {
+          const rtpPacket = RtpPacket.deSerialize(message);
+          if (this.isSipReady) {
+            this.sip.sendAudioPacket(rtpPacket, true);
+          }
+          if (this.isRingReady) {
+            // Every leg rewrites the header, it needs a packet of its own
+            this.ring.sendAudioPacket(RtpPacket.deSerialize(message), true);
+          }
         }
-      }
+      });
     });
   }
 
   manageFfmpegProcess() {
+    // A prompt is playing, ringback waits until it's done
+    if (this.prompt) return;
+
     if (this.isBothReady()) {
       // Kill the process if it's running and both are ready
       if (this.ffmpegProcess) {
@@ -37,14 +77,14 @@ class Tones {
         this.ffmpegProcess.stop();
         this.ffmpegProcess = null;
       }
-    } else if (!this.ffmpegProcess) {
+    } else if (!this.ffmpegProcess && this.udp && (this.isSipReady || this.isRingReady)) {
       // Spawn the process if not already running and at least one is ready
       const port = this.getPort();
       const ffmpegArgs = [
         '-hide_banner',
         '-protocol_whitelist', 'file,udp,rtp,crypto',
         '-re',
-        '-i', 'ringback.opus',
+        '-i', this.toneSet.ringback,
         '-acodec', 'libopus',
         '-ac', '2',
         '-ar', '48k',
@@ -66,22 +106,25 @@ class Tones {
 
   playHangup() {
     return new Promise((resolve) => {
+      if (!this.udp) return resolve();
+
       // Stop existing process if any
+      this._stopPrompt();
       if (this.ffmpegProcess) {
         this.ffmpegProcess.stop();
         this.ffmpegProcess = null;
       }
 
       const port = this.getPort();
-      const HANGUP_FILE = process.env.HANGUP_FILE;
+      const hangupFile = this.toneSet.hangup;
       let ffmpegArgs = [];
 
-      if (HANGUP_FILE) {
+      if (hangupFile) {
         ffmpegArgs = [
           '-hide_banner',
           '-protocol_whitelist', 'file,udp,rtp,crypto',
           '-re',
-          '-i', HANGUP_FILE,
+          '-i', hangupFile,
           '-acodec', 'libopus',
           '-ac', '2',
           '-ar', '48k',
@@ -115,6 +158,65 @@ class Tones {
     });
   }
 
+  /**
+   * Play a file during the call, e.g. a prompt for the visitor: { ring: true }.
+   * The audio of the other leg is held back on the chosen legs until the file has played.
+   * Without a file we play a short beep, e.g. to confirm the door was opened.
+   */
+  playFile(file, target = { sip: true, ring: true }) {
+    return new Promise((resolve) => {
+      if (!this.udp) return resolve();
+
+      this._stopPrompt();
+      if (this.ffmpegProcess) {
+        this.ffmpegProcess.stop();
+        this.ffmpegProcess = null;
+      }
+
+      const prompt = { sip: !!target.sip, ring: !!target.ring };
+      this.prompt = prompt;
+      if (prompt.sip) this.sip.startPrompt();
+      if (prompt.ring) this.ring.startPrompt();
+
+      const input = file
+        ? ['-protocol_whitelist', 'file,udp,rtp,crypto', '-re', '-i', file]
+        : ['-re', '-f', 'lavfi', '-i', 'sine=frequency=1000:duration=0.5'];
+      const ffmpegArgs = [
+        '-hide_banner',
+        ...input,
+        '-acodec', 'libopus',
+        '-ac', '2',
+        '-ar', '48k',
+        '-flags', '+global_header',
+        '-f', 'rtp',
+        `rtp://127.0.0.1:${this.getPort()}`,
+      ];
+
+      const name = file || 'beep';
+      console.log(`TONES - Spawning FFmpeg process for ${name}`);
+      this.ffmpegProcess = new FfmpegProcess({
+        ffmpegArgs,
+        exitCallback: () => {
+          console.log(`TONES - ${name} finished`);
+          // Only if no other file took over in the meantime
+          if (this.prompt === prompt) {
+            this.ffmpegProcess = null;
+            this._stopPrompt();
+            this.manageFfmpegProcess();
+          }
+          resolve();
+        }
+      });
+    });
+  }
+
+  _stopPrompt() {
+    if (!this.prompt) return;
+    if (this.prompt.sip) this.sip.endPrompt();
+    if (this.prompt.ring) this.ring.endPrompt();
+    this.prompt = null;
+  }
+
   initialize(sip, ring) {
     this.sip = sip;
     this.ring = ring;
@@ -146,8 +248,9 @@ class Tones {
     return this.isSipReady && this.isRingReady;
   }
 
-  cleanup() {
+  endCall() {
     console.log('TONES - Cleaning up resources');
+    this._stopPrompt();
     if (this.ffmpegProcess) {
       console.log('TONES - Stopping FFmpeg process');
       this.ffmpegProcess.stop();
@@ -159,10 +262,8 @@ class Tones {
       this.udp = null;
     }
     this.isSipReady = false;
+    this.isSipRinging = false;
     this.isRingReady = false;
   }
 }
 
-// Create a singleton instance
-export const tones = new Tones();
-
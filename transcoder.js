@@ -0,0 +1,117 @@
+import { createSocket } from "dgram";
+import { RtpPacket } from 'werift';
+import { FfmpegProcess, reservePorts } from '@homebridge/camera-utils';
+import { rtpmapOf } from './codecs.js';
+
+/**
+ * Transcodes one RTP audio stream with FFmpeg, e.g. OPUS from Ring to PCMU for the PBX.
+ * Packets go in through send(), the transcoded packets come out of the onPacket callback.
+ */
+export default class Transcoder {
+  constructor(from, to, onPacket) {
+    this.from = from;
+    this.to = to;
+    this.onPacket = onPacket;
+    this.udp = null;
+    this.inputPort = null;
+    this.ffmpegProcess = null;
+    this.stopped = false;
+  }
+
+  async start() {
+    // FFmpeg listens on the input port (and the next one for RTCP)
+    const [inputPort] = await reservePorts({ count: 2 });
+
+    this.udp = createSocket('udp4');
+    this.udp.on('message', (message) => {
+      this.onPacket(RtpPacket.deSerialize(message));
+    });
+    await new Promise(resolve => this.udp.bind(0, '127.0.0.1', resolve));
+
+    // stop() was called while we were waiting for the ports
+    if (this.stopped) {
+      this._closeSocket();
+      return;
+    }
+
+    const outputPort = this.udp.address().port;
+    const ffmpegArgs = [
+      '-hide_banner',
+      '-protocol_whitelist', 'pipe,udp,rtp,file,crypto',
+      '-fflags', 'nobuffer',
+      '-analyzeduration', '0',
+      '-probesize', '32',
+      '-f', 'sdp',
+      '-i', 'pipe:',
+      '-acodec', this.to.ffmpegCodec,
+      '-ac', this.to.channels,
+      '-ar', this.to.sampleRate,
+      ...(this.to.ffmpegCodec === 'libopus' ? ['-flags', '+global_header'] : []),
+      ...this._packetizationArgs(),
+      '-flush_packets', '1',
+      '-payload_type', this.to.payloadType,
+      '-f', 'rtp',
+      `rtp://127.0.0.1:${outputPort}`,
+    ];
+
+    console.log(`TRANSCODER - Spawning FFmpeg ${this.from.name} => ${this.to.name}`);
+    this.inputPort = inputPort;
+    this.ffmpegProcess = new FfmpegProcess({
+      ffmpegArgs,
+      exitCallback: () => {
+        console.log(`TRANSCODER - FFmpeg ${this.from.name} => ${this.to.name} exited`);
+        this.ffmpegProcess = null;
+      }
+    });
+    this.ffmpegProcess.writeStdin(this._buildInputSdp(inputPort));
+  }
+
+  send(rtp) {
+    if (!this.ffmpegProcess || !this.udp) return;
+
+    rtp.header.payloadType = this.from.payloadType;
+    this.udp.send(rtp.serialize(), this.inputPort, '127.0.0.1');
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.ffmpegProcess) {
+      this.ffmpegProcess.stop();
+      this.ffmpegProcess = null;
+    }
+    this._closeSocket();
+  }
+
+  _closeSocket() {
+    if (this.udp) {
+      this.udp.close();
+      this.udp = null;
+    }
+  }
+
+  // One RTP packet per ptime (negotiated in the SDP)
+  _packetizationArgs() {
+    if (!this.to.ptime) return [];
+    if (this.to.ffmpegCodec === 'libopus') {
+      return ['-frame_duration', this.to.ptime];
+    }
+    return ['-af', `asetnsamples=n=${this.to.sampleRate * this.to.ptime / 1000}:p=0`];
+  }
+
+  // Tells FFmpeg what it is going to receive on the input port
+  _buildInputSdp(port) {
+    const lines = [
+      'v=0',
+      'o=- 0 0 IN IP4 127.0.0.1',
+      's=ring2sip transcoder',
+      'c=IN IP4 127.0.0.1',
+      't=0 0',
+      `m=audio ${port} RTP/AVP ${this.from.payloadType}`,
+      `a=rtpmap:${this.from.payloadType} ${rtpmapOf(this.from)}`,
+    ];
+    if (this.from.fmtp) {
+      lines.push(`a=fmtp:${this.from.payloadType} ${this.from.fmtp}`);
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+}
@@ -33,3 +33,29 @@ export function updateRefreshTokenInEnv(newRefreshToken) {
   fs.writeFileSync(envFilePath, updatedEnvVariables.join('\n'), 'utf8')
   console.log('Updated refresh token in .env file')
 }
+
+/**
+ * Random token for SIP Call-IDs, tags and the like
+ */
+export function rstring() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let result = '';
+  for (let i = 0; i < 9; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+}
+
+/**
+ * "Front Door" => "front_door", for file names and MQTT topics
+ */
+export function slug(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+}
+
+/**
+ * A header parameter without its quotes, e.g. the realm of a digest challenge
+ */
+export function unquote(value) {
+  return typeof value === 'string' ? value.replace(/^"(.*)"$/, '$1') : value
+}
@@ -0,0 +1,142 @@
+import { randomBytes } from 'crypto'
+import { RtcpPacketConverter, RtcpPayloadSpecificFeedback, isRtcp } from 'werift'
+import { getRtpmap, getFmtp } from './sdp.js'
+
+// What Ring sends (see ring-client-api), the video is passed through as it is
+export const RING_H264_PROFILE = '640029'
+export const RING_H264_FMTP = { 'packetization-mode': '1', 'profile-level-id': RING_H264_PROFILE, 'level-asymmetry-allowed': '1' }
+
+// Payload-specific feedback (RFC 4585, RFC 5104)
+const PLI = 1
+const FIR = 4
+
+// NAL unit types (RFC 6184)
+const NAL_IDR = 5
+const NAL_SPS = 7
+const NAL_STAP_A = 24
+const NAL_FU_A = 28
+
+/**
+ * Does an RTP packet of H.264 start a key frame (SPS or IDR slice)?
+ */
+export function isKeyFrameStart(payload) {
+  if (!payload?.length) return false
+  const type = payload[0] & 0x1f
+  switch (type) {
+    case NAL_IDR:
+    case NAL_SPS:
+      return true
+    case NAL_STAP_A:
+      // Aggregated NAL units, each with a 16 bit size
+      for (let offset = 1; offset + 2 < payload.length; offset += 2 + payload.readUInt16BE(offset)) {
+        if ([NAL_IDR, NAL_SPS].includes(payload[offset + 2] & 0x1f)) return true
+      }
+      return false
+    case NAL_FU_A:
+      // The first fragment of a NAL unit has the start bit
+      return payload.length > 1 && (payload[1] & 0x80) !== 0 && [NAL_IDR, NAL_SPS].includes(payload[1] & 0x1f)
+    default:
+      return false
+  }
+}
+
+/**
+ * Is the profile of the fmtp the one Ring sends (profile_idc, the first byte of profile-level-id)?
+ */
+export function isRingProfile(fmtp) {
+  return String(fmtp['profile-level-id'] || '').toLowerCase().startsWith(RING_H264_PROFILE.substring(0, 2))
+}
+
+/**
+ * The H.264 payload type to use of an m= line. Ring's video is fragmented (FU-A),
+ * so only packetization-mode=1 works. The profile Ring sends is preferred.
+ * Returns { payloadType, fmtp } or null.
+ */
+export function pickH264(media) {
+  const candidates = []
+  for (const format of media.formats) {
+    const rtpmap = getRtpmap(media, format)
+    // Match H264 or H.264
+    if (!rtpmap || !['H264', 'H.264'].includes(rtpmap.encodingName.toUpperCase())) continue
+
+    const fmtp = getFmtp(media, format)
+    if (fmtp['packetization-mode'] !== '1') continue
+    candidates.push({ payloadType: parseInt(format, 10), fmtp })
+  }
+  return candidates.find(c => isRingProfile(c.fmtp)) || candidates[0] || null
+}
+
+/**
+ * Does an RTCP packet ask for a key frame (PLI or FIR)?
+ */
+export function isKeyFrameRequest(message) {
+  if (!isRtcp(message)) return false
+  try {
+    return RtcpPacketConverter.deSerialize(message).some(packet =>
+      packet.type === RtcpPayloadSpecificFeedback.type && [PLI, FIR].includes(packet.feedback?.count))
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * A SIP INFO with application/media_control+xml asking for a key frame (RFC 5168)
+ */
+export function isPictureFastUpdate(request) {
+  const contentType = String(request.headers['content-type'] || '').toLowerCase()
+  return contentType.startsWith('application/media_control+xml') && /picture_fast_update/i.test(request.content || '')
+}
+
+/**
+ * Ring's video as one RTP stream towards the PBX. A reconnect of the Ring call starts
+ * a new stream (SSRC, sequence numbers, timestamps), the phone would drop it. We keep
+ * our own SSRC, continue sequence numbers and timestamps, and hold a new stream back
+ * until it starts with a key frame.
+ */
+export class VideoStream {
+  constructor() {
+    this.ssrc = randomBytes(4).readUInt32BE(0)
+    this.sourceSsrc = null
+    this.waitingForKeyFrame = true
+    this.seqOffset = 0
+    this.timestampOffset = 0
+    this.lastSeq = null        // of the last packet we sent
+    this.lastTimestamp = null
+    this.lastSentAt = null     // ms
+  }
+
+  /**
+   * Rewrites the packet and returns true, or false if it has to be dropped
+   * because the stream didn't get a key frame yet
+   */
+  process(rtp) {
+    const { header } = rtp
+    if (header.ssrc !== this.sourceSsrc) {
+      this.sourceSsrc = header.ssrc
+      this.waitingForKeyFrame = true
+    }
+
+    if (this.waitingForKeyFrame) {
+      if (!isKeyFrameStart(rtp.payload)) return false
+      this.waitingForKeyFrame = false
+
+      // Continue right after what we sent last, the timestamp advances with the time in between
+      const seq = this.lastSeq === null ? header.sequenceNumber : (this.lastSeq + 1) & 0xffff
+      const elapsed = this.lastSentAt === null ? 0 : Math.round((Date.now() - this.lastSentAt) * 90)
+      const timestamp = this.lastTimestamp === null ? header.timestamp : (this.lastTimestamp + Math.max(elapsed, 1)) >>> 0
+      this.seqOffset = (seq - header.sequenceNumber) & 0xffff
+      this.timestampOffset = (timestamp - header.timestamp) >>> 0
+    }
+
+    header.ssrc = this.ssrc
+    header.sequenceNumber = (header.sequenceNumber + this.seqOffset) & 0xffff
+    header.timestamp = (header.timestamp + this.timestampOffset) >>> 0
+    // A late packet doesn't move the stream back
+    if (this.lastSeq === null || ((header.sequenceNumber - this.lastSeq) & 0xffff) < 0x8000) {
+      this.lastSeq = header.sequenceNumber
+      this.lastTimestamp = header.timestamp
+      this.lastSentAt = Date.now()
+    }
+    return true
+  }
+}
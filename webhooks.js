@@ -0,0 +1,114 @@
+import { createHmac } from 'crypto'
+import { config } from './config.js'
+
+const { NOTIFY_URL } = process.env
+
+export const WEBHOOK_EVENTS = ['ding', 'snapshot', 'motion', 'callStarted', 'callAnswered', 'callFailed', 'callEnded', 'voicemail', 'tokenRefreshed']
+
+/**
+ * Replace {{path.to.value}} with values of the payload, e.g. "{{camera.name}}".
+ * `encode` is applied to every value, for URLs.
+ */
+function fillTemplate(template, payload, encode = value => value) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = path.split('.').reduce((object, key) => object?.[key], payload)
+    if (value === undefined || value === null) return ''
+    return encode(typeof value === 'object' ? JSON.stringify(value) : String(value))
+  })
+}
+
+// Templates in a JSON body: every string in it is filled in
+function fillBody(template, payload) {
+  if (typeof template === 'string') return fillTemplate(template, payload)
+  if (Array.isArray(template)) return template.map(item => fillBody(item, payload))
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillBody(value, payload)]))
+  }
+  return template
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Sends our events to the webhooks in the `webhooks` section of config.json. Every endpoint
+ * subscribes to some event types and gets a JSON POST per event, signed with HMAC-SHA256
+ * if it has a secret. Failed deliveries are retried with exponential backoff.
+ */
+class Webhooks {
+  constructor() {
+    this.endpoints = (config.webhooks || []).map(endpoint => ({
+      url: endpoint.url,
+      events: endpoint.events || ['*'],
+      method: endpoint.method || 'POST',
+      headers: endpoint.headers || {},
+      body: endpoint.body,
+      secret: endpoint.secret || null,
+      timeout: endpoint.timeout || 5000,
+      retries: endpoint.retries ?? 3
+    }))
+
+    // The old NOTIFY_URL, a plain GET on every button press
+    if (NOTIFY_URL && NOTIFY_URL.startsWith('http')) {
+      this.endpoints.push({ url: NOTIFY_URL, events: ['ding'], method: 'GET', headers: {}, secret: null, timeout: 5000, retries: 0 })
+    }
+
+    for (const endpoint of this.endpoints) {
+      const unknown = endpoint.events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))
+      if (unknown.length) console.error(`WEBHOOKS - ${endpoint.url} subscribes to unknown events: ${unknown.join(', ')}`)
+    }
+  }
+
+  /**
+   * Send an event to every subscribed endpoint. Never throws, failures are logged.
+   */
+  dispatch(event, data = {}) {
+    const payload = { event, timestamp: new Date().toISOString(), ...data }
+    for (const endpoint of this.endpoints) {
+      if (endpoint.events.includes('*') || endpoint.events.includes(event)) {
+        this._deliver(endpoint, payload)
+      }
+    }
+  }
+
+  async _deliver(endpoint, payload) {
+    const url = fillTemplate(endpoint.url, payload, encodeURIComponent)
+    const hasBody = endpoint.method !== 'GET' && endpoint.method !== 'HEAD'
+    const body = hasBody
+      ? JSON.stringify(endpoint.body !== undefined ? fillBody(endpoint.body, payload) : payload)
+      : undefined
+
+    const headers = { 'user-agent': 'ring2sip', ...endpoint.headers }
+    if (hasBody) headers['content-type'] = 'application/json'
+    if (endpoint.secret) {
+      headers['x-ring2sip-signature'] = 'sha256=' + createHmac('sha256', endpoint.secret).update(body || '').digest('hex')
+    }
+
+    for (let attempt = 0; attempt <= endpoint.retries; attempt++) {
+      if (attempt > 0) await sleep(1000 * 2 ** (attempt - 1))
+
+      try {
+        const response = await fetch(url, {
+          method: endpoint.method,
+          headers,
+          body,
+          signal: AbortSignal.timeout(endpoint.timeout)
+        })
+        if (response.ok) {
+          console.log(`WEBHOOKS - ${payload.event} sent to ${url}: ${response.status}`)
+          return
+        }
+        // Client errors won't go away by trying again, except for rate limiting
+        if (response.status < 500 && response.status !== 429) {
+          console.error(`WEBHOOKS - ${payload.event} rejected by ${url}: ${response.status}`)
+          return
+        }
+        console.error(`WEBHOOKS - ${payload.event} to ${url} failed: ${response.status}`)
+      } catch (err) {
+        console.error(`WEBHOOKS - ${payload.event} to ${url} failed: ${err.message}`)
+      }
+    }
+    console.error(`WEBHOOKS - Giving up on ${payload.event} to ${url}`)
+  }
+}
+
+export const webhooks = new Webhooks()